@@ -1,5 +1,6 @@
 module.exports = [
   'datepicker.vue',
+  'date_time_picker.vue',
   'avatar.vue',
   'badge.vue',
   'banner.vue',
@@ -14,6 +15,7 @@ module.exports = [
   'collapsible.vue',
   'combobox.vue',
   'description_list.vue',
+  'drawer.vue',
   'dropdown.vue',
   'emoji.vue',
   'emoji_picker.vue',
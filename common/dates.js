@@ -55,6 +55,14 @@ export function setDateLocale (locale) {
   dialtoneLocale = locale;
 }
 
+/**
+ * Gets the locale set with setDateLocale, so that other date-fns functions can use it too.
+ * @returns {Locale|undefined} The date-fns locale object, or undefined if it's not set yet
+ */
+export function getDateLocale () {
+  return dialtoneLocale;
+}
+
 /**
  * This formats a date to the Dialtone standard medium date format as shown here:
  * https://dialpad.design/guides/writing-guidelines/#formats-by-length
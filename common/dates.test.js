@@ -2,6 +2,7 @@ import { beforeEach, vi } from 'vitest';
 import { es, enUS } from 'date-fns/locale';
 import {
   setDateLocale,
+  getDateLocale,
   getDateMedium,
   durationInHHMM,
   relativeDate,
@@ -34,6 +35,10 @@ describe('Date function tests', () => {
       expect(getDateMedium(testInputDate)).toBe('September 2, 2022');
     });
 
+    it('getDateLocale returns the locale', () => {
+      expect(getDateLocale()).toBe(enUS);
+    });
+
     it.each([
       [new Date(2023, 9, 24, 10, 0, 0), null, 'Today'],
       [new Date(2023, 9, 23, 10, 0, 0), null, 'Yesterday'],
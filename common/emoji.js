@@ -1,3 +1,4 @@
+import Vue from 'vue';
 import emojiRegex from 'emoji-regex';
 import emojiJsonLocal from 'emoji-toolkit/emoji_strategy.json';
 
@@ -13,12 +14,37 @@ export let emojiFileExtensionSmall = '.png';
 export let emojiImageUrlLarge = defaultEmojiAssetUrl;
 export let emojiFileExtensionLarge = '.png';
 
+// Sprite sheet the native emojis are rendered from instead of an image per emoji, if set.
+export let emojiSpriteSheet = null;
+
 export const emojiJson = emojiJsonLocal;
 
+// Keys of the custom emojis added with setCustomEmojiJson, as opposed to the native emojis it modifies.
+const customEmojiKeys = new Set();
+
+// The custom emojis are reactive, so that the components showing them, like the
+// emoji picker, are updated when custom emojis are added while they're shown.
+const customEmojiState = Vue.observable({ customEmojis: [] });
+
+// Incremented whenever setCustomEmojiJson changes the emoji data, so that the data derived
+// from it, like the emoji search index, can be rebuilt.
+export let emojiDataVersion = 0;
+
 export function getEmojiData () {
   return emojiJson;
 }
 
+/**
+ * Returns the custom emojis added with setCustomEmojiJson, with their key,
+ * in the order they were added. Native emojis modified by it aren't included.
+ * The list is reactive, so computed properties that use it are updated when
+ * custom emojis are added.
+ * @returns {Object[]}
+ */
+export function getCustomEmojis () {
+  return customEmojiState.customEmojis;
+}
+
 export function setEmojiAssetUrlSmall (url, fileExtension = '.png') {
   if (!url.endsWith('/')) {
     url = url + '/';
@@ -35,6 +61,50 @@ export function setEmojiAssetUrlLarge (url, fileExtension = '.svg') {
   emojiFileExtensionLarge = fileExtension;
 }
 
+/**
+ * Renders the native emojis from a single sprite sheet image, so that many emojis
+ * only need one image request. Custom emojis are still rendered from their own images,
+ * as are the emojis missing from the sprite sheet. Pass null to disable it.
+ * @param {String} url The url of the sprite sheet image
+ * @param {Object} positions The position of each emoji in the sprite sheet as [column, row],
+ * keyed by the emoji key, e.g. { '1f600': [0, 0], '1f603': [1, 0] }
+ */
+export function setEmojiSpriteSheet (url, positions = {}) {
+  if (!url) {
+    emojiSpriteSheet = null;
+    return;
+  }
+  const cells = Object.values(positions);
+  emojiSpriteSheet = {
+    url,
+    positions,
+    columns: Math.max(0, ...cells.map(([column]) => column)) + 1,
+    rows: Math.max(0, ...cells.map(([, row]) => row)) + 1,
+  };
+}
+
+/**
+ * Returns the style that renders an emoji from the sprite sheet set with setEmojiSpriteSheet
+ * as the background of an element, or null if there's no sprite sheet or the emoji isn't in it.
+ * @param {String} key The emoji key, e.g. 1f600
+ * @returns {Object|null}
+ */
+export function getEmojiSpriteStyle (key) {
+  const position = emojiSpriteSheet?.positions[key];
+  if (!position) {
+    return null;
+  }
+  const { url, columns, rows } = emojiSpriteSheet;
+  const [column, row] = position;
+  const x = columns > 1 ? (column * 100) / (columns - 1) : 0;
+  const y = rows > 1 ? (row * 100) / (rows - 1) : 0;
+  return {
+    backgroundImage: `url("${url}")`,
+    backgroundSize: `${columns * 100}% ${rows * 100}%`,
+    backgroundPosition: `${x}% ${y}%`,
+  };
+}
+
 export function setCustomEmojiUrl (url) {
   customEmojiAssetUrl = url;
 }
@@ -99,6 +169,7 @@ export function validateCustomEmojiJson (json) {
 
       if (_validateRequiredProps()) {
         emojiJson[customEmojiKey] = customEmojiValue;
+        customEmojiKeys.add(customEmojiKey);
       } else {
         console.error(
           'The following custom emoji doesn\'t contain the required properties:',
@@ -107,6 +178,8 @@ export function validateCustomEmojiJson (json) {
       }
     }
   });
+  customEmojiState.customEmojis = [...customEmojiKeys].map(key => ({ ...emojiJson[key], key }));
+  emojiDataVersion++;
 }
 
 // recursively searches the emoji data object containing data for all emojis
@@ -1,4 +1,10 @@
-import { getEmojiData, validateCustomEmojiJson } from '@/common/emoji';
+import {
+  getCustomEmojis,
+  getEmojiData,
+  getEmojiSpriteStyle,
+  setEmojiSpriteSheet,
+  validateCustomEmojiJson,
+} from '@/common/emoji';
 import { withValidCustomEmojis, withNotAllRequiredProps, withValidUnicodeEmojis } from './custom-emoji-test.js';
 
 describe('Emoji Tests', () => {
@@ -15,6 +21,10 @@ describe('Emoji Tests', () => {
         const emojiData = getEmojiData();
         expect(typeof emojiData.octocat).toBe('object');
       });
+
+      it('returns the custom emoji with its key', () => {
+        expect(getCustomEmojis()).toEqual([{ ...withValidCustomEmojis.octocat, key: 'octocat' }]);
+      });
     });
 
     describe('When a custom emoji json is provided with invalid emojis', () => {
@@ -63,6 +73,39 @@ describe('Emoji Tests', () => {
         expect(emojiData['1f615'].keywords.length).toBe(6);
         expect(emojiData['1f615'].keywords).toEqual(expectedKeywords);
       });
+
+      it('doesn\'t return the native emojis as custom emojis', () => {
+        const customEmojiKeys = getCustomEmojis().map(emoji => emoji.key);
+
+        expect(customEmojiKeys).not.toContain('1f913');
+        expect(customEmojiKeys).not.toContain('1f615');
+      });
+    });
+  });
+
+  describe('Sprite Sheet Tests', () => {
+    afterEach(() => {
+      setEmojiSpriteSheet(null);
+    });
+
+    it('returns no style when there is no sprite sheet', () => {
+      expect(getEmojiSpriteStyle('1f600')).toBeNull();
+    });
+
+    it('returns the style of the emoji position in the sprite sheet', () => {
+      setEmojiSpriteSheet('sprite.png', { '1f600': [0, 0], '1f603': [1, 0], '1f604': [4, 2] });
+
+      expect(getEmojiSpriteStyle('1f603')).toEqual({
+        backgroundImage: 'url("sprite.png")',
+        backgroundSize: '500% 300%',
+        backgroundPosition: '25% 0%',
+      });
+    });
+
+    it('returns no style for the emojis missing from the sprite sheet', () => {
+      setEmojiSpriteSheet('sprite.png', { '1f600': [0, 0] });
+
+      expect(getEmojiSpriteStyle('1f603')).toBeNull();
     });
   });
 });
@@ -0,0 +1,223 @@
+import { emojiDataVersion, getEmojiData, unicodeToString } from './emoji';
+
+// Score of each kind of match between the query and a term of an emoji.
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  wordPrefix: 60,
+  substring: 40,
+  typo: 20,
+};
+
+// Added to the score of the matches on shortcodes and names, so they rank above keyword matches.
+const TERM_BONUSES = {
+  shortcode: 10,
+  name: 5,
+  keyword: 0,
+};
+
+// Skin tone modifiers, removed from the keys of the emojis to find the keywords of their base emoji.
+const SKIN_TONE_REGEX = /-1f3f[b-f]/g;
+
+let keywordPack = null;
+let sharedIndex = null;
+
+/**
+ * Lowercases a string and removes its accents, and the colons, underscores
+ * and dashes of shortcodes, so that e.g. "Café" matches ":cafe:".
+ * @param {String} text
+ * @returns {String}
+ */
+export function normalizeEmojiSearchText (text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/:/g, '')
+    .replace(/[_-]/g, ' ')
+    .trim();
+}
+
+// Optimal string alignment distance, the number of insertions, deletions, substitutions
+// and transpositions of adjacent characters that turn a string into another. Returns
+// max + 1 as soon as the distance is known to exceed max.
+function typoDistance (a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      nextRow[j] = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        nextRow[j] = Math.min(nextRow[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, nextRow[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Number of typos tolerated in a query, none for short queries as they would match almost anything.
+function getMaxTypos (query) {
+  if (query.length < 4) {
+    return 0;
+  }
+  return query.length < 8 ? 1 : 2;
+}
+
+function matchTerm (query, term, maxTypos) {
+  if (term.text === query) {
+    return MATCH_SCORES.exact;
+  }
+  if (term.text.startsWith(query)) {
+    return MATCH_SCORES.prefix;
+  }
+  if (term.text.includes(` ${query}`)) {
+    return MATCH_SCORES.wordPrefix;
+  }
+  if (term.text.includes(query)) {
+    return MATCH_SCORES.substring;
+  }
+  if (!maxTypos) {
+    return 0;
+  }
+  // Compares the query with the start of each word of the term, so that typos are tolerated
+  // while the word is still being typed. The first character has to match, which rules out
+  // most words early and rarely misses a typo.
+  let distance = maxTypos + 1;
+  for (const word of term.words) {
+    if (word[0] !== query[0]) {
+      continue;
+    }
+    for (let length = query.length - maxTypos; length <= query.length + maxTypos; length++) {
+      distance = Math.min(distance, typoDistance(query, word.slice(0, length), maxTypos));
+    }
+  }
+  return distance <= maxTypos ? MATCH_SCORES.typo - distance : 0;
+}
+
+// Resolves the keys of a keyword pack, which can be shortcodes, unicode emojis or the keys of the emoji data.
+function resolveKeywordPack (pack, emojiData) {
+  const keysByShortcode = {};
+  Object.entries(emojiData).forEach(([key, emoji]) => {
+    [emoji.shortname, ...(emoji.shortname_alternates ?? [])].forEach(code => {
+      keysByShortcode[code] = key;
+    });
+  });
+  const keywords = {};
+  Object.entries(pack ?? {}).forEach(([code, codeKeywords]) => {
+    const key = keysByShortcode[code] ?? (code in emojiData ? code : unicodeToString(code));
+    keywords[key] = [...(keywords[key] ?? []), ...codeKeywords];
+  });
+  return keywords;
+}
+
+/**
+ * Creates a search index over emoji data, which finds emojis by their shortcodes, aliases,
+ * names and keywords, and the keywords of a locale-specific keyword pack. Matches on the
+ * start of terms and words rank higher, and queries of 4 or more characters tolerate typos.
+ *
+ * @param {Object} emojiData Emojis keyed by their key, in the format of the emoji data of `getEmojiData`
+ * @param {Object} options
+ * @param {Object} options.keywordPack Keywords in another language, as arrays keyed by shortcode
+ * or unicode emoji. The keywords of an emoji also apply to its skin tone variations.
+ */
+export function createEmojiSearchIndex (emojiData = getEmojiData(), { keywordPack = null } = {}) {
+  const packKeywords = resolveKeywordPack(keywordPack, emojiData);
+
+  const entries = Object.entries(emojiData).map(([key, emoji], order) => {
+    const localeKeywords = packKeywords[key] ?? packKeywords[key.replace(SKIN_TONE_REGEX, '')] ?? [];
+    const terms = [
+      ...[emoji.shortname, ...(emoji.shortname_alternates ?? [])].map(text => ({ text, kind: 'shortcode' })),
+      { text: emoji.name ?? '', kind: 'name' },
+      ...[...(emoji.keywords ?? []), ...localeKeywords].map(text => ({ text, kind: 'keyword' })),
+    ];
+    return {
+      key,
+      emoji,
+      order,
+      terms: terms.map(({ text, kind }) => {
+        const normalizedText = normalizeEmojiSearchText(text);
+        return { text: normalizedText, words: normalizedText.split(' '), bonus: TERM_BONUSES[kind] };
+      }),
+    };
+  });
+
+  /**
+   * Searches emojis, from the best to the worst match. Emojis that match equally
+   * are sorted by shortcode length, so base emojis come before their skin tone variations.
+   *
+   * @param {String} query The search query, e.g. "thumbs", ":thumbsup:" or "daumen"
+   * @param {Object} options
+   * @param {Number} options.limit Maximum number of results
+   * @returns {Object[]} The emoji data of the matching emojis, with their key
+   */
+  function search (query, { limit = Infinity } = {}) {
+    const normalizedQuery = normalizeEmojiSearchText(query);
+    if (!normalizedQuery) {
+      return [];
+    }
+    const maxTypos = getMaxTypos(normalizedQuery);
+
+    const results = [];
+    entries.forEach(entry => {
+      let score = 0;
+      entry.terms.forEach(term => {
+        const termScore = matchTerm(normalizedQuery, term, maxTypos);
+        if (termScore) {
+          score = Math.max(score, termScore + term.bonus);
+        }
+      });
+      if (score) {
+        results.push({ entry, score });
+      }
+    });
+
+    return results
+      .sort((a, b) => (b.score - a.score) ||
+        (a.entry.emoji.shortname.length - b.entry.emoji.shortname.length) ||
+        (a.entry.order - b.entry.order))
+      .slice(0, limit)
+      .map(({ entry }) => ({ ...entry.emoji, key: entry.key }));
+  }
+
+  return { search };
+}
+
+/**
+ * Sets the keyword pack of the shared emoji search index, e.g. to find emojis
+ * by their German or Japanese keywords. Pass null to remove it.
+ *
+ * @param {Object} pack Keywords as arrays keyed by shortcode or unicode emoji,
+ * e.g. `{ ':thumbsup:': ['Daumen hoch'] }` or `{ '👍': ['いいね'] }`
+ */
+export function setEmojiKeywordPack (pack) {
+  keywordPack = pack;
+  sharedIndex = null;
+}
+
+/**
+ * Returns the emoji search index shared by DtEmojiPicker and the emoji suggestions of
+ * DtRichTextEditor, over the emoji data and the keyword pack set with `setEmojiKeywordPack`.
+ * It's built on first use, and rebuilt when custom emojis are added.
+ * @returns {{ search: Function }}
+ */
+export function getEmojiSearchIndex () {
+  if (sharedIndex?.version !== emojiDataVersion) {
+    sharedIndex = {
+      version: emojiDataVersion,
+      index: createEmojiSearchIndex(getEmojiData(), { keywordPack }),
+    };
+  }
+  return sharedIndex.index;
+}
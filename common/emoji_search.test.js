@@ -0,0 +1,111 @@
+import { validateCustomEmojiJson } from '@/common/emoji';
+import {
+  createEmojiSearchIndex,
+  getEmojiSearchIndex,
+  normalizeEmojiSearchText,
+  setEmojiKeywordPack,
+} from '@/common/emoji_search';
+import { withValidCustomEmojis } from './custom-emoji-test.js';
+
+const _searchShortcodes = (index, query, limit) => index.search(query, { limit }).map(emoji => emoji.shortname);
+
+describe('Emoji Search Tests', () => {
+  describe('normalizeEmojiSearchText', () => {
+    it('removes accents, colons, underscores and dashes', () => {
+      expect(normalizeEmojiSearchText(' :Café_au-Lait: ')).toBe('cafe au lait');
+    });
+  });
+
+  describe('createEmojiSearchIndex', () => {
+    let index;
+
+    beforeAll(() => {
+      index = createEmojiSearchIndex();
+    });
+
+    it('finds an emoji by its shortcode first', () => {
+      expect(index.search(':thumbsup:')[0]).toEqual(expect.objectContaining({
+        key: '1f44d',
+        shortname: ':thumbsup:',
+      }));
+    });
+
+    it('finds an emoji by its aliases', () => {
+      expect(_searchShortcodes(index, ':+1:', 1)).toEqual([':thumbsup:']);
+    });
+
+    it('finds an emoji by the words of its name', () => {
+      expect(_searchShortcodes(index, 'hot bev', 1)).toEqual([':coffee:']);
+    });
+
+    it('finds an emoji by its keywords', () => {
+      expect(_searchShortcodes(index, 'steaming')).toContain(':coffee:');
+    });
+
+    it('lists base emojis before their skin tone variations', () => {
+      expect(_searchShortcodes(index, 'thumbsup', 2)).toEqual([':thumbsup:', ':thumbsup_tone1:']);
+    });
+
+    it('tolerates typos', () => {
+      expect(_searchShortcodes(index, 'thubmsup', 1)).toEqual([':thumbsup:']);
+      expect(_searchShortcodes(index, 'grining', 1)).toEqual([':grinning:']);
+    });
+
+    it('does not tolerate typos in short queries', () => {
+      expect(_searchShortcodes(index, 'xmi')).toEqual([]);
+    });
+
+    it('limits the number of results', () => {
+      expect(index.search('face', { limit: 5 }).length).toBe(5);
+    });
+
+    it('returns nothing for an empty query', () => {
+      expect(index.search(' ')).toEqual([]);
+    });
+  });
+
+  describe('When a keyword pack is provided', () => {
+    let index;
+
+    beforeAll(() => {
+      index = createEmojiSearchIndex(undefined, {
+        keywordPack: {
+          ':coffee:': ['Heißgetränk'],
+          '👍': ['いいね'],
+        },
+      });
+    });
+
+    it('finds emojis by the keywords keyed by shortcode', () => {
+      expect(_searchShortcodes(index, 'heiß', 1)).toEqual([':coffee:']);
+      expect(_searchShortcodes(index, 'heißgetrank', 1)).toEqual([':coffee:']);
+    });
+
+    it('finds emojis and their skin tone variations by the keywords keyed by unicode emoji', () => {
+      expect(_searchShortcodes(index, 'いいね', 2)).toEqual([':thumbsup:', ':thumbsup_tone1:']);
+    });
+  });
+
+  describe('getEmojiSearchIndex', () => {
+    afterEach(() => {
+      setEmojiKeywordPack(null);
+    });
+
+    it('returns the same index until the emoji data changes', () => {
+      const index = getEmojiSearchIndex();
+
+      expect(getEmojiSearchIndex()).toBe(index);
+
+      validateCustomEmojiJson(withValidCustomEmojis);
+
+      expect(getEmojiSearchIndex()).not.toBe(index);
+      expect(_searchShortcodes(getEmojiSearchIndex(), 'octo', 1)).toEqual([':octocat:']);
+    });
+
+    it('uses the keyword pack', () => {
+      setEmojiKeywordPack({ ':coffee:': ['Kaffee'] });
+
+      expect(_searchShortcodes(getEmojiSearchIndex(), 'kaffee', 1)).toEqual([':coffee:']);
+    });
+  });
+});
@@ -5,6 +5,11 @@ const ERROR_INVALID_LIST_ELEMENT = (
   'element doesn\'t exist. Received listElement: '
 );
 
+// Attribute of the root element of the virtual lists within the list, see DtListItemGroup.
+const VIRTUAL_LIST_ATTRIBUTE = 'data-dt-virtual-list';
+
+const ITEM_SELECTOR = listItemRole => `[role="${listItemRole}"], #sr-only-close-button`;
+
 /**
  * Usage: `mixins: [keyboardNavigationMixin(options)]`
  *
@@ -14,6 +19,11 @@ const ERROR_INVALID_LIST_ELEMENT = (
  * To be effective, you must bind the onUpKey and onDownKey events, usually to
  * the root element of the component.
  *
+ * Virtual lists within the list, such as a DtListItemGroup with `virtualItems`, register
+ * themselves with this mixin so that their items that aren't rendered are navigated as well.
+ * The highlighted item of a virtual list is always rendered, but only after the next render,
+ * so the active item computed prop shouldn't be cached when using them.
+ *
  * @param listItemRole
  * @param indexKey
  * @param idKey
@@ -66,9 +76,18 @@ export default ({
   provide () {
     return {
       highlightId: () => this[idKey],
+      registerVirtualList: list => this.virtualLists.push(list),
+      unregisterVirtualList: list => {
+        this.virtualLists = this.virtualLists.filter(virtualList => virtualList !== list);
+      },
     };
   },
 
+  created () {
+    // Virtual lists within the list. Not reactive as only their items are.
+    this.virtualLists = [];
+  },
+
   methods: {
     // Returns the list element
     // this[listElement]() can return a Vue component, in which case we need to target
@@ -80,17 +99,36 @@ export default ({
     // Gets the length of all the items in the list, uses the listItemRole param to determine
     // whether an element is a list item.
     _itemsLength () {
-      const listItems = this._getListItemNodes();
+      const segments = this._getListSegments();
 
-      if (listItems === null) {
+      if (segments === null) {
         return 0;
       }
 
-      return listItems.length;
+      return segments.reduce((length, segment) => length + segment.length, 0);
+    },
+
+    // Gets all the rendered list item nodes within the list element, along with their index
+    // in the list, which counts the items of virtual lists that aren't rendered.
+    _getRenderedListItems () {
+      const segments = this._getListSegments();
+
+      if (segments === null) {
+        return null;
+      }
+
+      return segments.flatMap(({ item, virtualList, offset }) => {
+        if (!virtualList) {
+          return [{ item, index: offset }];
+        }
+        return Array.from(virtualList.$el.querySelectorAll(ITEM_SELECTOR(listItemRole)))
+          .map(item => ({ item, index: offset + virtualList.getVirtualItemIndex(item.id) }));
+      });
     },
 
-    // Gets all the list item nodes within the list element
-    _getListItemNodes () {
+    // Splits the list into its rendered items and its virtual lists, which count as all of their
+    // items, so that the items of a virtual list are found by index without going through them.
+    _getListSegments () {
       const listElement = this._getListElement();
 
       if (!listElement) {
@@ -98,7 +136,21 @@ export default ({
         return null;
       }
 
-      return Array.from(listElement.querySelectorAll(`[role="${listItemRole}"], #sr-only-close-button`));
+      const itemSelector = ITEM_SELECTOR(listItemRole);
+      const selector = this.virtualLists.length ? `${itemSelector}, [${VIRTUAL_LIST_ATTRIBUTE}]` : itemSelector;
+      const segments = [];
+      let offset = 0;
+      listElement.querySelectorAll(selector).forEach(node => {
+        // Rendered items of the virtual lists are counted with the rest of their items.
+        if (this.virtualLists.length && node.parentElement.closest(`[${VIRTUAL_LIST_ATTRIBUTE}]`)) {
+          return;
+        }
+        const virtualList = this.virtualLists.find(list => list.$el === node);
+        const length = virtualList ? virtualList.virtualItems.length : 1;
+        segments.push(virtualList ? { virtualList, offset, length } : { item: node, offset, length });
+        offset += length;
+      });
+      return segments;
     },
 
     onUpKey () {
@@ -140,9 +192,10 @@ export default ({
     },
 
     onNavigationKey (key) {
-      const listItems = this._getListItemNodes();
+      const listItems = this._getRenderedListItems() ?? [];
 
-      const matchingItems = listItems.filter(item => {
+      // Only the rendered items of virtual lists have text content to match.
+      const matchingItems = listItems.filter(({ item }) => {
         const content = item.textContent.trim().toLowerCase();
         return content.startsWith(key.toLowerCase());
       });
@@ -151,15 +204,13 @@ export default ({
         return;
       }
 
-      const highlightedMatchingItemIndex = matchingItems.findIndex(item => {
-        return this[indexKey] === listItems.indexOf(item);
+      const highlightedMatchingItemIndex = matchingItems.findIndex(({ index }) => {
+        return this[indexKey] === index;
       });
 
-      const nextHighlightedItemIndex = listItems.indexOf(
-        highlightedMatchingItemIndex < matchingItems.length - 1
-          ? matchingItems[highlightedMatchingItemIndex + 1]
-          : matchingItems[0],
-      );
+      const nextHighlightedItemIndex = highlightedMatchingItemIndex < matchingItems.length - 1
+        ? matchingItems[highlightedMatchingItemIndex + 1].index
+        : matchingItems[0].index;
 
       this.setHighlightIndex(nextHighlightedItemIndex);
       this.scrollActiveItemIntoViewIfNeeded();
@@ -197,45 +248,73 @@ export default ({
     },
 
     _getItemIndex (id) {
-      const listElement = this._getListElement();
-      if (!listElement) {
+      const segments = this._getListSegments();
+      if (!segments) {
         return;
       }
 
-      const listItems = Array.from(listElement.querySelectorAll(`[role="${listItemRole}"], #sr-only-close-button`));
-      return listItems.indexOf(listElement.querySelector(`#${id}`));
+      for (const segment of segments) {
+        const index = this._getIndexInSegment(segment, id);
+        if (index !== -1) {
+          return segment.offset + index;
+        }
+      }
+      return -1;
+    },
+
+    _getIndexInSegment ({ item, virtualList }, id) {
+      if (virtualList) {
+        return virtualList.getVirtualItemIndex(id);
+      }
+      return item.id === id ? 0 : -1;
     },
 
     _getItemId (index) {
-      const listElement = this._getListElement();
-      if (!listElement) {
+      const segments = this._getListSegments();
+      if (!segments) {
         return;
       }
 
-      return listElement.querySelectorAll(`[role="${listItemRole}"], #sr-only-close-button`)[index]?.id;
+      const segment = segments.find(({ offset, length }) => index >= offset && index < offset + length);
+      if (!segment) {
+        return;
+      }
+      return segment.virtualList
+        ? segment.virtualList.getVirtualItemId(index - segment.offset)
+        : segment.item.id;
+    },
+
+    // Calls the callback with the active item element. The highlighted item of a virtual list
+    // may not be rendered yet, in which case it's called after the next render instead.
+    _withActiveItemEl (callback) {
+      const activeItemEl = this[activeItemKey];
+      if (activeItemEl) {
+        callback(activeItemEl);
+      } else if (this.virtualLists.length) {
+        this.$nextTick(() => {
+          const renderedActiveItemEl = this[activeItemKey];
+          renderedActiveItemEl && callback(renderedActiveItemEl);
+        });
+      }
     },
 
     scrollActiveItemIntoViewIfNeeded () {
       if (!this.scrollToOnHighlight) {
         return;
       }
-      const activeItemEl = this[activeItemKey];
-      if (activeItemEl) {
+      this._withActiveItemEl(activeItemEl => {
         // When listElementKey is not passed,
         // scrollElementIntoViewIfNeeded will default to the immediate wrapper of the item.
         const listElement = this._getListElement();
         this.scrollElementIntoViewIfNeeded(activeItemEl, null, null, listElement);
-      }
+      });
     },
 
     focusActiveItemIfNeeded () {
       if (!this.focusOnKeyboardNavigation) {
         return;
       }
-      const activeItemEl = this[activeItemKey];
-      if (activeItemEl) {
-        activeItemEl.focus();
-      }
+      this._withActiveItemEl(activeItemEl => activeItemEl.focus());
     },
   },
 });
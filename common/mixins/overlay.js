@@ -0,0 +1,104 @@
+import { EVENT_KEYNAMES } from '@/common/constants';
+import { isTopOverlay, lockBodyScroll, pushOverlay, removeOverlay, unlockBodyScroll } from '@/common/overlay_stack';
+
+/**
+ * This mixin provides the behavior shared by the overlays that are added to the
+ * overlay stack, such as modals and drawers. Only the topmost overlay is closed
+ * by Escape and by clicks on the overlay outside of its dialog.
+ *
+ * Bind overlayListeners to the overlay element with v-on, and call addToOverlayStack
+ * when it's shown and removeFromOverlayStack when it's hidden. The component must
+ * implement `close`, and `trapFocus` to trap the focus on Tab.
+ * @displayName Overlay Mixin
+ */
+export default {
+  computed: {
+    overlayListeners () {
+      return {
+        ...this.$listeners,
+
+        // This is checked on mousedown, since overlays on top, such as popovers,
+        // are closed by a mousedown outside of them.
+        mousedown: event => {
+          this.isTopOverlayOnMousedown = isTopOverlay(this);
+          this.$emit('mousedown', event);
+        },
+
+        click: event => {
+          if (!this.closeOnOverlayClick) return;
+          const isTop = this.isTopOverlayOnMousedown ?? isTopOverlay(this);
+          this.isTopOverlayOnMousedown = null;
+          (event.target === event.currentTarget) && isTop && this.close();
+          this.$emit('click', event);
+        },
+
+        keydown: event => {
+          switch (event.code) {
+            case EVENT_KEYNAMES.esc:
+            case EVENT_KEYNAMES.escape:
+              isTopOverlay(this) && this.close();
+              break;
+            case EVENT_KEYNAMES.tab:
+              this.trapFocus(event);
+              break;
+          }
+          this.$emit('keydown', event);
+        },
+      };
+    },
+
+    /**
+     * Whether a click on the overlay outside of the dialog closes it.
+     */
+    closeOnOverlayClick () {
+      return true;
+    },
+  },
+
+  beforeDestroy () {
+    this.removeFromOverlayStack();
+  },
+
+  methods: {
+    /**
+     * Adds the component to the top of the overlay stack. The element that has
+     * the focus is kept in the stack, to which focus returns when it's removed.
+     * @param {object} options
+     * @param {boolean} options.lockScroll - whether to prevent the body from scrolling.
+     */
+    addToOverlayStack ({ lockScroll = false } = {}) {
+      pushOverlay(this);
+      lockScroll && lockBodyScroll(this);
+    },
+
+    removeFromOverlayStack () {
+      removeOverlay(this, { restoreFocus: this.shouldRestoreFocus() });
+      unlockBodyScroll(this);
+    },
+
+    /**
+     * Whether focus returns to the element that had it when the component was
+     * added to the overlay stack.
+     */
+    shouldRestoreFocus () {
+      return true;
+    },
+
+    /**
+     * Focuses the initial focus element once the overlay is shown.
+     * @param {string|HTMLElement} initialFocusElement - an HTMLElement, a string starting
+     *  with '#' to find the element by ID, or 'first' to focus the first element.
+     * @param {object} el - optional - ref of dom element to focus the first element of.
+     *  will default to the root node of the vue component
+     */
+    setFocusAfterTransition (initialFocusElement, el) {
+      if (initialFocusElement === 'first') {
+        this.focusFirstElement(el);
+      } else if (initialFocusElement.startsWith('#')) {
+        this.focusElementById(initialFocusElement);
+      } else if (initialFocusElement instanceof HTMLElement) {
+        initialFocusElement.focus();
+      }
+    },
+  },
+};
@@ -0,0 +1,102 @@
+// Shared stack of the open overlays, such as modals and popovers, so that
+// overlays opened from other overlays don't handle each other's Escape
+// presses, outside clicks, scroll lock or focus.
+
+const SCROLL_LOCK_CLASS = 'd-of-hidden';
+
+// Open overlays from the bottom to the top, each with the elements focus
+// returns to when it's closed, from the most to the least recent.
+let overlays = [];
+
+// Overlays that currently lock the scrolling of the body.
+const scrollLocks = new Set();
+
+/**
+ * Adds an overlay to the top of the stack. Does nothing if it's already in the stack.
+ *
+ * @param {Object} overlay The overlay, usually the component instance
+ * @param {HTMLElement} trigger The element focus returns to when the overlay is removed.
+ * Defaults to the active element.
+ */
+export function pushOverlay (overlay, trigger = document.activeElement) {
+  if (overlays.some(entry => entry.overlay === overlay)) {
+    return;
+  }
+  overlays.push({ overlay, triggers: [trigger] });
+}
+
+/**
+ * Removes an overlay from the stack and returns focus to its trigger. If the overlay
+ * isn't the topmost one, its trigger is passed on to the overlay above it instead,
+ * in case the trigger of that overlay was inside the removed one.
+ *
+ * @param {Object} overlay The overlay added with `pushOverlay`
+ * @param {Object} options
+ * @param {Boolean} options.restoreFocus Whether to return focus to the trigger
+ */
+export function removeOverlay (overlay, { restoreFocus = true } = {}) {
+  const index = overlays.findIndex(entry => entry.overlay === overlay);
+  if (index === -1) {
+    return;
+  }
+  const [{ triggers }] = overlays.splice(index, 1);
+
+  if (index < overlays.length) {
+    overlays[index].triggers.push(...triggers);
+  } else if (restoreFocus) {
+    triggers.find(trigger => trigger?.isConnected)?.focus();
+  }
+}
+
+/**
+ * Whether an overlay is the topmost one, which is the only one that should
+ * react to Escape and outside clicks.
+ *
+ * @param {Object} overlay The overlay added with `pushOverlay`
+ * @returns {Boolean}
+ */
+export function isTopOverlay (overlay) {
+  return overlays[overlays.length - 1]?.overlay === overlay;
+}
+
+/**
+ * Prevents the body from scrolling until every overlay that locked it unlocks it.
+ * Locking it more than once with the same overlay has no effect.
+ *
+ * @param {Object} overlay The overlay that locks the scrolling
+ */
+export function lockBodyScroll (overlay) {
+  scrollLocks.add(overlay);
+  document.body.classList.add(SCROLL_LOCK_CLASS);
+}
+
+/**
+ * Releases the scroll lock of an overlay, and lets the body scroll again
+ * once there are no other locks.
+ *
+ * @param {Object} overlay The overlay passed to `lockBodyScroll`
+ */
+export function unlockBodyScroll (overlay) {
+  if (!scrollLocks.delete(overlay) || scrollLocks.size) {
+    return;
+  }
+  document.body.classList.remove(SCROLL_LOCK_CLASS);
+}
+
+/**
+ * Empties the stack and releases all the scroll locks. Only meant for tests.
+ */
+export function resetOverlayStack () {
+  overlays = [];
+  scrollLocks.clear();
+  document.body.classList.remove(SCROLL_LOCK_CLASS);
+}
+
+export default {
+  pushOverlay,
+  removeOverlay,
+  isTopOverlay,
+  lockBodyScroll,
+  unlockBodyScroll,
+  resetOverlayStack,
+};
@@ -0,0 +1,116 @@
+import {
+  pushOverlay,
+  removeOverlay,
+  isTopOverlay,
+  lockBodyScroll,
+  unlockBodyScroll,
+  resetOverlayStack,
+} from './overlay_stack';
+
+describe('Overlay stack tests', () => {
+  const firstOverlay = { name: 'first' };
+  const secondOverlay = { name: 'second' };
+  let firstTrigger;
+  let secondTrigger;
+
+  const _createButton = () => {
+    const button = document.createElement('button');
+    document.body.appendChild(button);
+    return button;
+  };
+
+  beforeEach(() => {
+    firstTrigger = _createButton();
+    secondTrigger = _createButton();
+  });
+
+  afterEach(() => {
+    resetOverlayStack();
+    firstTrigger.remove();
+    secondTrigger.remove();
+  });
+
+  describe('When overlays are pushed', () => {
+    beforeEach(() => {
+      firstTrigger.focus();
+      pushOverlay(firstOverlay);
+      secondTrigger.focus();
+      pushOverlay(secondOverlay);
+    });
+
+    it('should only make the last one the top overlay', () => {
+      expect(isTopOverlay(firstOverlay)).toBe(false);
+      expect(isTopOverlay(secondOverlay)).toBe(true);
+    });
+
+    it('should not move an overlay that is pushed again', () => {
+      pushOverlay(firstOverlay);
+
+      expect(isTopOverlay(secondOverlay)).toBe(true);
+    });
+
+    describe('When they are removed in order', () => {
+      it('should return focus to each trigger', () => {
+        document.body.focus();
+
+        removeOverlay(secondOverlay);
+        expect(isTopOverlay(firstOverlay)).toBe(true);
+        expect(document.activeElement).toBe(secondTrigger);
+
+        removeOverlay(firstOverlay);
+        expect(isTopOverlay(firstOverlay)).toBe(false);
+        expect(document.activeElement).toBe(firstTrigger);
+      });
+    });
+
+    describe('When the focus is not restored', () => {
+      it('should keep the focus', () => {
+        firstTrigger.focus();
+        removeOverlay(secondOverlay, { restoreFocus: false });
+
+        expect(document.activeElement).toBe(firstTrigger);
+      });
+    });
+
+    describe('When the bottom overlay is removed first', () => {
+      beforeEach(() => {
+        removeOverlay(firstOverlay);
+      });
+
+      it('should not move the focus', () => {
+        expect(document.activeElement).toBe(secondTrigger);
+      });
+
+      it('should return focus to its trigger when the other one is removed', () => {
+        secondTrigger.remove();
+        removeOverlay(secondOverlay);
+
+        expect(document.activeElement).toBe(firstTrigger);
+      });
+    });
+  });
+
+  describe('When the body scroll is locked', () => {
+    beforeEach(() => {
+      lockBodyScroll(firstOverlay);
+      lockBodyScroll(secondOverlay);
+      lockBodyScroll(secondOverlay);
+    });
+
+    it('should prevent the body from scrolling', () => {
+      expect(document.body.classList.contains('d-of-hidden')).toBe(true);
+    });
+
+    it('should keep the lock until every overlay unlocks it', () => {
+      unlockBodyScroll(secondOverlay);
+      expect(document.body.classList.contains('d-of-hidden')).toBe(true);
+
+      unlockBodyScroll(secondOverlay);
+      unlockBodyScroll({});
+      expect(document.body.classList.contains('d-of-hidden')).toBe(true);
+
+      unlockBodyScroll(firstOverlay);
+      expect(document.body.classList.contains('d-of-hidden')).toBe(false);
+    });
+  });
+});
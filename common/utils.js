@@ -122,6 +122,24 @@ export function getValidationState (formattedMessages) {
   return null;
 }
 
+/**
+ * Returns the validation state of a text length for the `warn` and `max` limits of a
+ * `validate.length` config: null below `warn`, 'warning' from `warn` up to `max` and
+ * 'error' above `max`. Without `warn` there is no warning state.
+ * @param {number} length the length of the text
+ * @param {object} limits the `warn` and `max` limits of the `validate.length` config
+ * @returns {string|null} the validation state
+ */
+export function getLengthValidationState (length, { warn, max }) {
+  if (length < warn) {
+    return null;
+  } else if (length <= max) {
+    return warn ? VALIDATION_MESSAGE_TYPES.WARNING : null;
+  } else {
+    return VALIDATION_MESSAGE_TYPES.ERROR;
+  }
+}
+
 export function hasFormattedMessageOfType (formattedMessages, messageType) {
   if (!formattedMessages || !messageType) {
     return false;
@@ -327,6 +345,9 @@ export function isPhoneNumber (input) {
   return phoneNumberRegex.exec(input)?.[0] === input;
 }
 
+// Protocols and hostnames are case-insensitive, e.g. "HTTP://DIALPAD.COM".
+const urlRegexes = [urlWithoutProtocolRegex, urlWithProtocolRegex].map(regex => new RegExp(regex.source, 'i'));
+
 /**
  * Check if a string is an URL. Validates only exact matches.
  * @param {string} input
@@ -334,8 +355,7 @@ export function isPhoneNumber (input) {
  */
 export function isURL (input) {
   if (!input || typeof input !== 'string') return false;
-  return urlWithoutProtocolRegex.exec(input)?.[0] === input ||
-    urlWithProtocolRegex.exec(input)?.[0] === input;
+  return urlRegexes.some(regex => regex.exec(input)?.[0] === input);
 }
 
 /**
@@ -376,6 +396,7 @@ export default {
   filterFormattedMessages,
   hasFormattedMessageOfType,
   getValidationState,
+  getLengthValidationState,
   htmlFragment,
   flushPromises,
   kebabCaseToPascalCase,
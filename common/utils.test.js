@@ -10,6 +10,7 @@ import {
   filterFormattedMessages,
   hasFormattedMessageOfType,
   getValidationState,
+  getLengthValidationState,
   isPhoneNumber,
   isURL,
   isEmailAddress,
@@ -349,6 +350,28 @@ describe('Util Tests', () => {
     });
   });
 
+  describe('getLengthValidationState', () => {
+    describe('when there is a warn limit', () => {
+      it.each([
+        [5, null],
+        [8, VALIDATION_MESSAGE_TYPES.WARNING],
+        [10, VALIDATION_MESSAGE_TYPES.WARNING],
+        [11, VALIDATION_MESSAGE_TYPES.ERROR],
+      ])('should return the state for a length of %s', (length, expected) => {
+        expect(getLengthValidationState(length, { warn: 8, max: 10 })).toBe(expected);
+      });
+    });
+
+    describe('when there is no warn limit', () => {
+      it.each([
+        [10, null],
+        [11, VALIDATION_MESSAGE_TYPES.ERROR],
+      ])('should return the state for a length of %s', (length, expected) => {
+        expect(getLengthValidationState(length, { max: 10 })).toBe(expected);
+      });
+    });
+  });
+
   describe('isPhoneNumber', () => {
     describe('when there is no input', () => {
       it.each([
@@ -427,6 +450,8 @@ describe('Util Tests', () => {
       it.each([
         ...validURLs,
         ...validURLsWithProtocol,
+        ['HTTP://DIALPAD.COM'],
+        ['Dialpad.com/News'],
       ])('should return true for "%s"', async (input) => {
         expect(isURL(input)).toBe(true);
       });
@@ -3,6 +3,7 @@ import { createTemplateFromVueFile } from '@/common/storybook_utils';
 import DtCombobox from './combobox.vue';
 
 import DtComboboxDefaultTemplate from './combobox_default.story.vue';
+import DtComboboxVirtualTemplate from './combobox_virtual.story.vue';
 import { LABEL_SIZES } from './combobox_constants';
 
 // Default Prop Values
@@ -182,6 +183,8 @@ export default {
 // Templates
 const DefaultTemplate = (args, { argTypes }) =>
   createTemplateFromVueFile(args, argTypes, DtComboboxDefaultTemplate);
+const VirtualTemplate = (args, { argTypes }) =>
+  createTemplateFromVueFile(args, argTypes, DtComboboxVirtualTemplate);
 
 export const Default = {
   render: DefaultTemplate,
@@ -213,3 +216,8 @@ export const Empty = {
     emptyList: true,
   },
 };
+
+export const VirtualList = {
+  render: VirtualTemplate,
+  args: {},
+};
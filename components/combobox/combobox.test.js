@@ -1,5 +1,6 @@
 import { mount, createLocalVue } from '@vue/test-utils';
 import DtCombobox from './combobox.vue';
+import { DtListItemGroup } from '@/components/list_item_group';
 
 const MOCK_SELECT_STUB = vi.fn();
 const MOCK_ESCAPE_STUB = vi.fn();
@@ -523,4 +524,86 @@ describe('DtCombobox Tests', () => {
       });
     });
   });
+
+  describe('When the list is a virtual list item group', () => {
+    const VIRTUAL_ITEMS = Array.from({ length: 1000 }, (_, index) => `Item ${index}`);
+    const onItemClick = vi.fn();
+    let combobox;
+
+    const _activeDescendant = () => wrapper.find('input').attributes('aria-activedescendant');
+
+    beforeEach(() => {
+      wrapper = mount({
+        components: { DtCombobox, DtListItemGroup },
+        data: () => ({ items: VIRTUAL_ITEMS }),
+        methods: { onItemClick },
+        template: `
+          <dt-combobox label="Label" list-id="list" show-list click-on-select>
+            <template #input="{ inputProps }">
+              <input v-bind="inputProps">
+            </template>
+            <template #list="{ listProps }">
+              <ol v-bind="listProps">
+                <dt-list-item-group id="group" :virtual-items="items">
+                  <template #item="{ item, id, index }">
+                    <li :id="id" :key="id" role="option" @click="onItemClick(index)">{{ item }}</li>
+                  </template>
+                </dt-list-item-group>
+              </ol>
+            </template>
+          </dt-combobox>`,
+      }, { localVue: testContext.localVue });
+      combobox = wrapper.findComponent(DtCombobox);
+    });
+
+    afterEach(() => {
+      wrapper.destroy();
+    });
+
+    it('should only render the visible items', () => {
+      expect(wrapper.findAll('[role="option"]').length).toBeLessThan(VIRTUAL_ITEMS.length);
+    });
+
+    it('should navigate to the items that are not rendered', async () => {
+      await combobox.trigger('keydown.end');
+
+      expect(combobox.vm.highlightIndex).toBe(VIRTUAL_ITEMS.length - 1);
+      expect(_activeDescendant()).toBe('group-item-999');
+      expect(wrapper.find('#group-item-999').text()).toBe('Item 999');
+
+      await combobox.trigger('keydown.up');
+
+      expect(combobox.vm.highlightIndex).toBe(VIRTUAL_ITEMS.length - 2);
+      expect(_activeDescendant()).toBe('group-item-998');
+      expect(wrapper.find('#group-item-998').exists()).toBe(true);
+
+      await combobox.trigger('keydown.down');
+      await combobox.trigger('keydown.down');
+
+      expect(combobox.vm.highlightIndex).toBe(0);
+    });
+
+    it('should scroll to the highlighted item once it is rendered', async () => {
+      const scrollSpy = vi.spyOn(combobox.vm, 'scrollElementIntoViewIfNeeded').mockImplementation(() => {});
+
+      await combobox.trigger('keydown.end');
+      await wrapper.vm.$nextTick();
+
+      expect(scrollSpy).toHaveBeenCalledWith(wrapper.find('#group-item-999').element, null, null, expect.anything());
+    });
+
+    it('should click the highlighted item when it is selected', async () => {
+      await combobox.trigger('keydown.end');
+      await combobox.trigger('keydown.enter');
+
+      expect(onItemClick).toHaveBeenCalledWith(999);
+    });
+
+    it('should highlight the rendered item under the mouse', async () => {
+      await wrapper.find('#group-item-3').trigger('mousemove');
+
+      expect(combobox.vm.highlightIndex).toBe(3);
+      expect(_activeDescendant()).toBe('group-item-3');
+    });
+  });
 });
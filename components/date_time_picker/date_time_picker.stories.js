@@ -0,0 +1,161 @@
+import { createTemplateFromVueFile } from '@/common/storybook_utils';
+import { action } from '@storybook/addon-actions';
+import DtDateTimePicker from './date_time_picker.vue';
+import DtDateTimePickerDefaultTemplate from './date_time_picker_default.story.vue';
+import { TIME_PICKER_HOUR_FORMATS } from '@/components/datepicker';
+
+const defaultDate = new Date('2023-01-01T09:30:00');
+
+export const argsData = {
+  locale: 'en-US',
+  changeToLabel: 'Change to',
+  prevMonthLabel: 'Previous month',
+  nextMonthLabel: 'Next month',
+  prevYearLabel: 'Previous year',
+  nextYearLabel: 'Next year',
+  selectDayLabel: 'Select day',
+  hourLabel: 'Hours',
+  minuteLabel: 'Minutes',
+  periodLabel: 'Change AM/PM, currently',
+  hourFormat: '12',
+  minuteStep: 15,
+  showTimeZone: false,
+  onSelectedDate: action('selected-date'),
+  onCloseDatepicker: action('close-datepicker'),
+  date: new Date(),
+};
+
+export const argTypesData = {
+  // Props
+  hourLabel: {
+    control: 'text',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'String',
+      },
+    },
+  },
+
+  minuteLabel: {
+    control: 'text',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'String',
+      },
+    },
+  },
+
+  periodLabel: {
+    control: 'text',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'String',
+      },
+    },
+  },
+
+  hourFormat: {
+    control: 'select',
+    options: TIME_PICKER_HOUR_FORMATS,
+    table: {
+      category: 'props',
+      type: {
+        summary: 'String',
+      },
+    },
+  },
+
+  minuteStep: {
+    control: 'number',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Number',
+      },
+    },
+  },
+
+  showTimeZone: {
+    control: 'boolean',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Boolean',
+      },
+    },
+  },
+
+  // Action Event Handlers
+  onSelectedDate: {
+    table: {
+      disable: true,
+    },
+  },
+
+  onCloseDatepicker: {
+    table: {
+      disable: true,
+    },
+  },
+
+  'selected-date': {
+    description: 'Event fired when the day or the time is changed',
+    table: {
+      type: { summary: 'event' },
+    },
+  },
+
+  'close-datepicker': {
+    description: 'Event fired when user presses the esc key',
+    table: {
+      type: { summary: 'event' },
+    },
+  },
+};
+
+export default {
+  title: 'Components/Date Time Picker',
+  component: DtDateTimePicker,
+  args: argsData,
+  argTypes: argTypesData,
+  excludeStories: /.*Data$/,
+};
+
+// Templates
+const Template = (args, { argTypes }) => createTemplateFromVueFile(
+  args,
+  argTypes,
+  DtDateTimePickerDefaultTemplate,
+);
+
+// Stories
+export const Default = {
+  render: Template,
+  args: {},
+  parameters: {
+    percy: {
+      args: {
+        date: defaultDate,
+      },
+    },
+  },
+};
+
+export const TwentyFourHour = {
+  render: Template,
+  args: {
+    hourFormat: '24',
+    minuteStep: 5,
+    showTimeZone: true,
+  },
+  parameters: {
+    percy: {
+      args: {
+        date: defaultDate,
+      },
+    },
+  },
+};
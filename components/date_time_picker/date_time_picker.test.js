@@ -0,0 +1,116 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import DtDateTimePicker from './date_time_picker.vue';
+
+const MOCK_DATE = new Date(2023, 6, 21, 9, 30);
+
+const baseProps = {
+  changeToLabel: 'Change to',
+  prevMonthLabel: 'Previous month',
+  nextMonthLabel: 'Next month',
+  prevYearLabel: 'Previous year',
+  nextYearLabel: 'Next year',
+  selectDayLabel: 'Select day',
+  hourLabel: 'Hours',
+  minuteLabel: 'Minutes',
+  periodLabel: 'Change AM/PM, currently',
+  selectedDate: MOCK_DATE,
+};
+
+let mockProps = {};
+const testContext = {};
+
+describe('DtDateTimePicker Tests', () => {
+  let wrapper;
+  let days;
+  let minuteInput;
+
+  // July 2023 starts on a Saturday, so the first day of the month is the 7th button.
+  const _getDay = (day) => days.at(day + 5);
+
+  const _getEmittedDate = () => wrapper.emitted('selected-date').at(-1)[0];
+
+  const updateWrapper = async () => {
+    wrapper = mount(DtDateTimePicker, {
+      propsData: { ...baseProps, ...mockProps },
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+
+    await vi.dynamicImportSettled();
+
+    days = wrapper.findAll('.d-datepicker__calendar button');
+    minuteInput = wrapper.find('[data-qa="dt-time-picker-minute"]');
+  };
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(async () => {
+    await updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the calendar', () => {
+      expect(wrapper.find('.d-datepicker__calendar').exists()).toBe(true);
+    });
+
+    it('should render the selected time', () => {
+      expect(wrapper.find('[data-qa="dt-time-picker-hour"]').element.value).toBe('9');
+      expect(minuteInput.element.value).toBe('30');
+    });
+
+    it('should pass the other attributes to the datepicker', async () => {
+      mockProps = { minDate: new Date(2023, 6, 10) };
+      await updateWrapper();
+
+      expect(_getDay(9).attributes('aria-disabled')).toBe('true');
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When a day is selected', () => {
+      beforeEach(async () => {
+        await _getDay(25).trigger('click');
+      });
+
+      it('should emit the day with the selected time', () => {
+        expect(_getEmittedDate()).toEqual(new Date(2023, 6, 25, 9, 30));
+      });
+
+      describe('When the time is changed', () => {
+        beforeEach(async () => {
+          await minuteInput.trigger('keydown', { key: 'ArrowUp' });
+        });
+
+        it('should emit the time on the selected day', () => {
+          expect(_getEmittedDate()).toEqual(new Date(2023, 6, 25, 9, 45));
+        });
+      });
+    });
+
+    describe('When Tab is pressed on a day', () => {
+      it('should let the focus move on to the time picker', async () => {
+        const event = new KeyboardEvent('keydown', { key: 'Tab', cancelable: true });
+        _getDay(10).element.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(false);
+      });
+    });
+
+    describe('When the selected date changes', () => {
+      beforeEach(async () => {
+        await wrapper.setProps({ selectedDate: new Date(2023, 6, 21, 14, 0) });
+      });
+
+      it('should show the new time', () => {
+        expect(minuteInput.element.value).toBe('00');
+      });
+    });
+  });
+});
@@ -0,0 +1 @@
+export { default as DtDateTimePicker } from './date_time_picker.vue';
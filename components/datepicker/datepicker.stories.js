@@ -15,6 +15,7 @@ export const argsData = {
   nextYearLabel: 'Next year',
   selectDayLabel: 'Select day',
   onSelectedDate: action('selected-date'),
+  onSelectedRange: action('selected-range'),
   onCloseDatepicker: action('close-datepicker'),
   date: new Date(),
   opened: false,
@@ -78,6 +79,67 @@ export const argTypesData = {
     },
   },
 
+  weekStartsOn: {
+    control: 'select',
+    options: [null, 0, 1, 2, 3, 4, 5, 6],
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Number',
+      },
+    },
+  },
+
+  range: {
+    control: 'boolean',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Boolean',
+      },
+    },
+  },
+
+  selectedRange: {
+    control: 'object',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Object',
+      },
+    },
+  },
+
+  minDate: {
+    control: null,
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Date',
+      },
+    },
+  },
+
+  maxDate: {
+    control: null,
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Date',
+      },
+    },
+  },
+
+  isDateDisabled: {
+    control: null,
+    table: {
+      category: 'props',
+      type: {
+        summary: 'Function',
+      },
+    },
+  },
+
   // Action Event Handlers
   onSelectedDate: {
     table: {
@@ -85,6 +147,12 @@ export const argTypesData = {
     },
   },
 
+  onSelectedRange: {
+    table: {
+      disable: true,
+    },
+  },
+
   onCloseDatepicker: {
     table: {
       disable: true,
@@ -98,6 +166,13 @@ export const argTypesData = {
     },
   },
 
+  'selected-range': {
+    description: 'Event fired when both dates of a range are selected, with the range as `{ start, end }`',
+    table: {
+      type: { summary: 'event' },
+    },
+  },
+
   'close-datepicker': {
     description: 'Event fired when user presses the esc key',
     table: {
@@ -140,6 +215,39 @@ export const Default = {
   },
 };
 
+export const Range = {
+  render: Template,
+  args: {
+    range: true,
+  },
+  parameters: {
+    percy: {
+      args: {
+        selectedRange: {
+          start: new Date('2023-01-10T00:00:00'),
+          end: new Date('2023-01-20T00:00:00'),
+        },
+      },
+    },
+  },
+};
+
+export const WithConstraints = {
+  render: Template,
+  args: {
+    minDate: new Date('2023-01-05T00:00:00'),
+    maxDate: new Date('2023-01-25T00:00:00'),
+    isDateDisabled: (date) => [0, 6].includes(date.getDay()),
+  },
+  parameters: {
+    percy: {
+      args: {
+        date: defaultDate,
+      },
+    },
+  },
+};
+
 export const WithPopover = {
   render: WithPopoverTemplate,
   args: {},
@@ -1,6 +1,9 @@
 import { createLocalVue, mount } from '@vue/test-utils';
+import { de } from 'date-fns/locale';
 import { formatMonth } from '@/components/datepicker/utils.js';
+import { setDateLocale } from '@/common/dates';
 import DtDatepicker from './datepicker.vue';
+import { formatMedium } from './formatUtils.js';
 import { MONTH_FORMAT } from '@/components/datepicker/datepicker_constants.js';
 
 const MOCK_DAY = 21;
@@ -283,4 +286,345 @@ describe('DtDatepicker Tests', () => {
       expect(wrapper.emitted('selected-date')).toBeTruthy();
     });
   });
+
+  describe('Range Tests', () => {
+    let days;
+
+    // July 2023 starts on a Saturday, so the first day of the month is the 7th button.
+    const _getDay = (day) => days.at(day + 5);
+
+    const _selectDays = async (...selectedDays) => {
+      for (const day of selectedDays) {
+        await _getDay(day).trigger('click');
+      }
+    };
+
+    beforeEach(async () => {
+      mockProps = { range: true };
+      await updateWrapper();
+      days = wrapper.findAll('.d-datepicker__calendar button');
+    });
+
+    describe('When the start of the range is selected', () => {
+      beforeEach(async () => {
+        await _selectDays(10);
+      });
+
+      it('should not emit the range yet', () => {
+        expect(wrapper.emitted('selected-range')).toBeUndefined();
+        expect(wrapper.emitted('selected-date')).toBeUndefined();
+      });
+
+      it('should highlight the start', () => {
+        expect(_getDay(10).classes()).toContain('d-datepicker__day--range-start');
+        expect(_getDay(10).attributes('aria-pressed')).toBe('true');
+      });
+
+      it('should preview the range when hovering a day', async () => {
+        await _getDay(13).trigger('mouseenter');
+
+        expect(_getDay(12).classes()).toContain('d-datepicker__day--in-range');
+        expect(_getDay(13).classes()).toContain('d-datepicker__day--range-end');
+      });
+
+      it('should preview the range when navigating with the keyboard', async () => {
+        // The keyboard focus starts on the first day of the month.
+        await _getDay(1).trigger('keydown.down');
+
+        expect(_getDay(8).element).toBe(document.activeElement);
+        expect(_getDay(8).classes()).toContain('d-datepicker__day--range-start');
+        expect(_getDay(9).classes()).toContain('d-datepicker__day--in-range');
+      });
+
+      it('should stop the preview when the mouse leaves the day', async () => {
+        await _getDay(13).trigger('mouseenter');
+        await _getDay(13).trigger('mouseleave');
+
+        expect(_getDay(12).classes()).not.toContain('d-datepicker__day--in-range');
+      });
+
+      it('should stop the preview when the day loses the focus', async () => {
+        await _getDay(13).trigger('focus');
+        await _getDay(13).trigger('blur');
+
+        expect(_getDay(12).classes()).not.toContain('d-datepicker__day--in-range');
+      });
+
+      describe('When the end of the range is selected', () => {
+        beforeEach(async () => {
+          await _selectDays(20);
+        });
+
+        it('should emit the range', () => {
+          expect(wrapper.emitted('selected-range')[0][0]).toEqual({
+            start: new Date(MOCK_YEAR, MOCK_MONTH, 10),
+            end: new Date(MOCK_YEAR, MOCK_MONTH, 20),
+          });
+        });
+
+        it('should highlight the range', () => {
+          expect(_getDay(10).classes()).toContain('d-datepicker__day--range-start');
+          expect(_getDay(15).classes()).toContain('d-datepicker__day--in-range');
+          expect(_getDay(20).classes()).toContain('d-datepicker__day--range-end');
+          expect(_getDay(21).classes()).not.toContain('d-datepicker__day--in-range');
+        });
+
+        it('should start a new range on the next selection', async () => {
+          await _selectDays(25);
+
+          expect(_getDay(25).classes()).toContain('d-datepicker__day--range-start');
+          expect(_getDay(15).classes()).not.toContain('d-datepicker__day--in-range');
+        });
+      });
+
+      describe('When the end is selected before the start', () => {
+        beforeEach(async () => {
+          await _selectDays(5);
+        });
+
+        it('should emit the range in order', () => {
+          expect(wrapper.emitted('selected-range')[0][0]).toEqual({
+            start: new Date(MOCK_YEAR, MOCK_MONTH, 5),
+            end: new Date(MOCK_YEAR, MOCK_MONTH, 10),
+          });
+        });
+      });
+
+      describe('When the end is selected in another month', () => {
+        beforeEach(async () => {
+          await nextMonthButton.trigger('click');
+          days = wrapper.findAll('.d-datepicker__calendar button');
+          // August 2023 starts on a Tuesday.
+          await days.at(5).trigger('click');
+        });
+
+        it('should emit the range across the months', () => {
+          expect(wrapper.emitted('selected-range')[0][0]).toEqual({
+            start: new Date(MOCK_YEAR, MOCK_MONTH, 10),
+            end: new Date(MOCK_YEAR, MOCK_MONTH + 1, 4),
+          });
+        });
+
+        it('should highlight the days of the range in the month', () => {
+          expect(days.at(2).classes()).toContain('d-datepicker__day--in-range');
+          expect(days.at(5).classes()).toContain('d-datepicker__day--range-end');
+        });
+      });
+    });
+
+    describe('When a range is passed', () => {
+      beforeEach(async () => {
+        mockProps = {
+          range: true,
+          selectedRange: { start: new Date(MOCK_YEAR, 8, 5), end: new Date(MOCK_YEAR, 9, 2) },
+        };
+        await updateWrapper();
+        days = wrapper.findAll('.d-datepicker__calendar button');
+      });
+
+      it('should show the month of the start', () => {
+        expect(wrapper.find('.d-datepicker--header p').text()).toBe(`${formatMonth(8, MONTH_FORMAT)} ${MOCK_YEAR}`);
+      });
+
+      it('should highlight the range', () => {
+        // September 2023 starts on a Friday.
+        expect(days.at(9).classes()).toContain('d-datepicker__day--range-start');
+        expect(days.at(20).classes()).toContain('d-datepicker__day--in-range');
+      });
+    });
+  });
+
+  describe('Constraint Tests', () => {
+    let days;
+
+    // July 2023 starts on a Saturday, so the first day of the month is the 7th button.
+    const _getDay = (day) => days.at(day + 5);
+
+    const _getHeaderText = () => wrapper.find('.d-datepicker--header p').text();
+
+    beforeEach(async () => {
+      mockProps = {
+        minDate: new Date(MOCK_YEAR, MOCK_MONTH, 10),
+        maxDate: new Date(MOCK_YEAR, MOCK_MONTH, 25),
+        // Weekends
+        isDateDisabled: (date) => [0, 6].includes(date.getDay()),
+      };
+      await updateWrapper();
+      days = wrapper.findAll('.d-datepicker__calendar button');
+    });
+
+    it('should disable the days out of the range', () => {
+      expect(_getDay(9).attributes('aria-disabled')).toBe('true');
+      expect(_getDay(9).classes()).toContain('d-datepicker__day--disabled');
+      expect(_getDay(26).attributes('aria-disabled')).toBe('true');
+    });
+
+    it('should disable the days of the predicate', () => {
+      expect(_getDay(15).attributes('aria-disabled')).toBe('true');
+      expect(_getDay(16).attributes('aria-disabled')).toBe('true');
+    });
+
+    it('should not disable the other days', () => {
+      expect(_getDay(10).attributes('aria-disabled')).toBeUndefined();
+      expect(_getDay(25).attributes('aria-disabled')).toBeUndefined();
+      expect(_getDay(10).classes()).not.toContain('d-datepicker__day--disabled');
+    });
+
+    it('should not select a disabled day', async () => {
+      await _getDay(9).trigger('click');
+      await _getDay(15).trigger('click');
+
+      expect(wrapper.emitted('selected-date')).toBeUndefined();
+    });
+
+    it('should select an enabled day', async () => {
+      await _getDay(12).trigger('click');
+
+      expect(wrapper.emitted('selected-date')[0][0]).toEqual(new Date(MOCK_YEAR, MOCK_MONTH, 12));
+    });
+
+    describe('When navigating with the keyboard', () => {
+      beforeEach(async () => {
+        await prevYearButton.trigger('keydown.down');
+      });
+
+      it('should focus the first enabled day', () => {
+        expect(_getDay(10).element).toBe(document.activeElement);
+      });
+
+      it('should skip the disabled days', async () => {
+        await _getDay(10).trigger('keydown.right');
+        await _getDay(11).trigger('keydown.right');
+        await _getDay(12).trigger('keydown.right');
+        await _getDay(13).trigger('keydown.right');
+        await _getDay(14).trigger('keydown.right');
+
+        expect(_getDay(17).element).toBe(document.activeElement);
+      });
+
+      it('should not move past the last enabled day', async () => {
+        await _getDay(10).trigger('keydown.left');
+
+        expect(_getDay(10).element).toBe(document.activeElement);
+      });
+
+      it('should focus the month year picker when there is no enabled day below', async () => {
+        await _getDay(10).trigger('keydown.down');
+        await _getDay(17).trigger('keydown.down');
+        await _getDay(24).trigger('keydown.down');
+
+        expect(prevYearButton.element).toBe(document.activeElement);
+      });
+    });
+
+    describe('On the month year picker', () => {
+      it('should disable the months out of the range', () => {
+        expect(prevMonthButton.attributes('aria-disabled')).toBe('true');
+        expect(nextMonthButton.attributes('aria-disabled')).toBe('true');
+      });
+
+      it('should disable the years out of the range', () => {
+        expect(prevYearButton.attributes('aria-disabled')).toBe('true');
+        expect(nextYearButton.attributes('aria-disabled')).toBe('true');
+      });
+
+      it('should not change to a disabled month', async () => {
+        await prevMonthButton.trigger('click');
+        await nextMonthButton.trigger('click');
+
+        expect(_getHeaderText()).toBe(MOCK_HEADER_SELECTED_DATE);
+      });
+
+      describe('When the range spans several years', () => {
+        beforeEach(async () => {
+          mockProps = {
+            minDate: new Date(MOCK_YEAR - 1, 10, 15),
+            maxDate: new Date(MOCK_YEAR + 1, 2, 1),
+          };
+          await updateWrapper();
+        });
+
+        it('should enable the months and years in the range', () => {
+          expect(prevMonthButton.attributes('aria-disabled')).toBe('false');
+          expect(prevYearButton.attributes('aria-disabled')).toBe('false');
+          expect(nextYearButton.attributes('aria-disabled')).toBe('false');
+        });
+
+        it('should move the month into the range when changing the year', async () => {
+          await prevYearButton.trigger('click');
+
+          expect(_getHeaderText()).toBe(`${formatMonth(10, MONTH_FORMAT)} ${MOCK_YEAR - 1}`);
+          expect(prevYearButton.attributes('aria-disabled')).toBe('true');
+        });
+
+        it('should move the month into the range when changing to the last year', async () => {
+          await nextYearButton.trigger('click');
+
+          expect(_getHeaderText()).toBe(`${formatMonth(2, MONTH_FORMAT)} ${MOCK_YEAR + 1}`);
+        });
+      });
+    });
+  });
+
+  describe('Locale Tests', () => {
+    const _getWeekDays = () => wrapper.findAll('.d-datepicker__week-day p').wrappers.map(day => day.text());
+    const _getFirstDay = () => wrapper.find('.d-datepicker__calendar button');
+
+    describe('When the week starts on Monday', () => {
+      beforeEach(async () => {
+        mockProps = { weekStartsOn: 1 };
+        await updateWrapper();
+      });
+
+      it('should start the week days on Monday', () => {
+        expect(_getWeekDays()).toEqual(['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']);
+      });
+
+      it('should start the calendar on Monday', () => {
+        expect(_getFirstDay().attributes('aria-label')).toBe('Select day 26 June 2023');
+      });
+
+      it('should update the calendar when the week start changes', async () => {
+        await wrapper.setProps({ weekStartsOn: 0 });
+
+        expect(_getWeekDays()[0]).toBe('Su');
+        expect(_getFirstDay().attributes('aria-label')).toBe('Select day 25 June 2023');
+      });
+    });
+
+    describe('When a locale is set', () => {
+      beforeEach(async () => {
+        setDateLocale(de);
+        await updateWrapper();
+      });
+
+      afterEach(() => {
+        setDateLocale(undefined);
+      });
+
+      it('should format the month with the locale', () => {
+        expect(wrapper.find('.d-datepicker--header p').text()).toBe(`Juli ${MOCK_YEAR}`);
+        expect(_getFirstDay().attributes('aria-label')).toBe('Select day 26 Juni 2023');
+      });
+
+      it('should format the week days with the locale', () => {
+        expect(_getWeekDays()).toEqual(['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So']);
+      });
+
+      it('should format the dates with the locale', () => {
+        expect(formatMedium(MOCK_TEST_DATE)).toBe(`Juli 21, ${MOCK_YEAR}`);
+      });
+
+      describe('When the week start is passed', () => {
+        beforeEach(async () => {
+          mockProps = { weekStartsOn: 0 };
+          await updateWrapper();
+        });
+
+        it('should override the week start of the locale', () => {
+          expect(_getWeekDays()[0]).toBe('So');
+        });
+      });
+    });
+  });
 });
@@ -1,8 +1,16 @@
 /**
- * Week start day
+ * Default week start day, when neither the weekStartsOn prop nor the locale set
+ * with setDateLocale specify it
  * 0 - Sunday
  * 1 - Monday
  */
 export const WEEK_START = 0;
 
 export const MONTH_FORMAT = 'MMMM';
+
+/**
+ * Hour formats of the time picker
+ * 12 - 1 to 12 with AM/PM
+ * 24 - 0 to 23
+ */
+export const TIME_PICKER_HOUR_FORMATS = ['12', '24'];
@@ -1,23 +1,23 @@
-import { format } from 'date-fns';
+import { formatDate } from './utils';
 
 export function formatLong (date) {
-  return format(date, 'EEEE, MMMM d, yyyy');
+  return formatDate(date, 'EEEE, MMMM d, yyyy');
 }
 
 export function formatMedium (date) {
-  return format(date, 'MMMM d, yyyy');
+  return formatDate(date, 'MMMM d, yyyy');
 }
 
 export function formatShort (date, showWeekday = true) {
   const formatString = showWeekday ? 'EEE, MMM d, yyyy' : 'MMM d, yyyy';
-  return format(date, formatString);
+  return formatDate(date, formatString);
 }
 
 export function formatNoYear (date, abbreviated = false) {
   const formatString = abbreviated ? 'MMM d' : 'MMMM d';
-  return format(date, formatString);
+  return formatDate(date, formatString);
 }
 
 export function formatNumerical (date) {
-  return format(date, 'MM/dd/yy');
+  return formatDate(date, 'MM/dd/yy');
 }
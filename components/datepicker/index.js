@@ -1,2 +1,4 @@
 export { default as DtDatepicker } from './datepicker.vue';
+export { default as DtTimePicker } from './modules/time-picker.vue';
+export { TIME_PICKER_HOUR_FORMATS } from './datepicker_constants.js';
 export * from './formatUtils.js';
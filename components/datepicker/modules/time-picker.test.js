@@ -0,0 +1,249 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import { de } from 'date-fns/locale';
+import { setDateLocale } from '@/common/dates';
+import DtTimePicker from './time-picker.vue';
+
+const MOCK_TIME = new Date(2023, 6, 21, 9, 5);
+
+const baseProps = {
+  hourLabel: 'Hours',
+  minuteLabel: 'Minutes',
+  periodLabel: 'Change AM/PM, currently',
+  selectedTime: MOCK_TIME,
+};
+
+let mockProps = {};
+const testContext = {};
+
+describe('DtTimePicker Tests', () => {
+  let wrapper;
+  let hourInput;
+  let minuteInput;
+  let periodButton;
+
+  const updateWrapper = async () => {
+    wrapper = mount(DtTimePicker, {
+      propsData: { ...baseProps, ...mockProps },
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+
+    await wrapper.vm.$nextTick();
+
+    hourInput = wrapper.find('[data-qa="dt-time-picker-hour"]');
+    minuteInput = wrapper.find('[data-qa="dt-time-picker-minute"]');
+    periodButton = wrapper.find('[data-qa="dt-time-picker-period"]');
+  };
+
+  const _getEmittedTime = () => wrapper.emitted('selected-time').at(-1)[0];
+
+  const _typeValue = async (input, value) => {
+    input.element.value = value;
+    await input.trigger('input');
+    await input.trigger('change');
+    await wrapper.vm.$nextTick();
+  };
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(async () => {
+    await updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the time in the 12-hour format', () => {
+      expect(hourInput.element.value).toBe('9');
+      expect(minuteInput.element.value).toBe('05');
+      expect(periodButton.text()).toBe('AM');
+    });
+
+    it('should render the inputs as spin buttons', () => {
+      expect(hourInput.attributes('role')).toBe('spinbutton');
+      expect(hourInput.attributes('aria-label')).toBe('Hours');
+      expect(hourInput.attributes('aria-valuemin')).toBe('1');
+      expect(hourInput.attributes('aria-valuemax')).toBe('12');
+      expect(hourInput.attributes('aria-valuenow')).toBe('9');
+      expect(minuteInput.attributes('aria-valuenow')).toBe('5');
+    });
+
+    it('should label the period button with the current period', () => {
+      expect(periodButton.attributes('aria-label')).toBe('Change AM/PM, currently AM');
+    });
+
+    it('should not render the time zone', () => {
+      expect(wrapper.find('[data-qa="dt-time-picker-time-zone"]').exists()).toBe(false);
+    });
+
+    describe('When the hour format is 24', () => {
+      beforeEach(async () => {
+        mockProps = { hourFormat: '24', selectedTime: new Date(2023, 6, 21, 21, 30) };
+        await updateWrapper();
+      });
+
+      it('should render the hours from 0 to 23', () => {
+        expect(hourInput.element.value).toBe('21');
+        expect(hourInput.attributes('aria-valuemin')).toBe('0');
+        expect(hourInput.attributes('aria-valuemax')).toBe('23');
+      });
+
+      it('should not render the period button', () => {
+        expect(periodButton.exists()).toBe(false);
+      });
+    });
+
+    describe('When the time zone is shown', () => {
+      beforeEach(async () => {
+        mockProps = { showTimeZone: true };
+        await updateWrapper();
+      });
+
+      it('should render the name of the time zone', () => {
+        expect(wrapper.find('[data-qa="dt-time-picker-time-zone"]').text()).not.toBe('');
+      });
+    });
+
+    describe('When a locale is set', () => {
+      beforeEach(async () => {
+        setDateLocale(de);
+        await updateWrapper();
+      });
+
+      afterEach(() => {
+        setDateLocale(undefined);
+      });
+
+      it('should format the period with the locale', () => {
+        expect(periodButton.text()).toBe('vorm.');
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When the arrow keys are pressed on the minutes', () => {
+      it('should move to the next minute step', async () => {
+        await minuteInput.trigger('keydown', { key: 'ArrowUp' });
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 9, 15));
+      });
+
+      it('should move to the previous minute step', async () => {
+        await minuteInput.trigger('keydown', { key: 'ArrowDown' });
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 9, 0));
+      });
+
+      it('should wrap around the hour', async () => {
+        await minuteInput.trigger('keydown', { key: 'ArrowDown' });
+        await minuteInput.trigger('keydown', { key: 'ArrowDown' });
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 9, 45));
+      });
+
+      describe('When the minute step is 5', () => {
+        beforeEach(async () => {
+          mockProps = { minuteStep: 5 };
+          await updateWrapper();
+        });
+
+        it('should move by 5 minutes', async () => {
+          await minuteInput.trigger('keydown', { key: 'ArrowUp' });
+
+          expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 9, 10));
+        });
+      });
+    });
+
+    describe('When the arrow keys are pressed on the hours', () => {
+      it('should move by an hour', async () => {
+        await hourInput.trigger('keydown', { key: 'ArrowUp' });
+        await hourInput.trigger('keydown', { key: 'ArrowUp' });
+        await hourInput.trigger('keydown', { key: 'ArrowUp' });
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 12, 5));
+        expect(hourInput.element.value).toBe('12');
+        expect(periodButton.text()).toBe('PM');
+      });
+    });
+
+    describe('When an hour is typed', () => {
+      it('should change the hour in the current period', async () => {
+        await _typeValue(hourInput, '11');
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 11, 5));
+      });
+
+      it('should only keep the digits', async () => {
+        hourInput.element.value = 'a1b2c3';
+        await hourInput.trigger('input');
+
+        expect(hourInput.element.value).toBe('12');
+      });
+
+      it('should discard an invalid hour', async () => {
+        await _typeValue(hourInput, '13');
+
+        expect(wrapper.emitted('selected-time')).toBeUndefined();
+        expect(hourInput.element.value).toBe('9');
+      });
+
+      describe('When the hour format is 24', () => {
+        beforeEach(async () => {
+          mockProps = { hourFormat: '24' };
+          await updateWrapper();
+        });
+
+        it('should change the hour of the day', async () => {
+          await _typeValue(hourInput, '18');
+
+          expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 18, 5));
+        });
+      });
+    });
+
+    describe('When minutes are typed', () => {
+      it('should change the minutes regardless of the step', async () => {
+        await _typeValue(minuteInput, '7');
+
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 9, 7));
+        expect(minuteInput.element.value).toBe('07');
+      });
+
+      it('should discard invalid minutes', async () => {
+        await _typeValue(minuteInput, '60');
+
+        expect(wrapper.emitted('selected-time')).toBeUndefined();
+        expect(minuteInput.element.value).toBe('05');
+      });
+    });
+
+    describe('When the period button is clicked', () => {
+      beforeEach(async () => {
+        await periodButton.trigger('click');
+      });
+
+      it('should change to the other period', () => {
+        expect(_getEmittedTime()).toEqual(new Date(2023, 6, 21, 21, 5));
+        expect(periodButton.text()).toBe('PM');
+      });
+    });
+
+    describe('When the selected time changes', () => {
+      beforeEach(async () => {
+        await wrapper.setProps({ selectedTime: new Date(2023, 6, 21, 16, 45) });
+      });
+
+      it('should show the new time', () => {
+        expect(hourInput.element.value).toBe('4');
+        expect(minuteInput.element.value).toBe('45');
+        expect(periodButton.text()).toBe('PM');
+      });
+    });
+  });
+});
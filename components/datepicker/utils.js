@@ -1,7 +1,10 @@
 import {
-  startOfWeek, addDays, getMonth, isEqual, format,
+  startOfWeek, addDays, getMonth, isEqual, format, isSameDay, differenceInCalendarDays,
+  differenceInCalendarMonths, parse, isValid, getYear,
 } from 'date-fns';
+import { enUS } from 'date-fns/locale';
 import { WEEK_START } from '@/components/datepicker/datepicker_constants.js';
+import { getDateLocale } from '@/common/dates';
 
 const getDate = (value) => (value ? new Date(value) : new Date());
 
@@ -27,6 +30,8 @@ const getWeekDays = (startDay, month, selectedDay) => {
   return dates;
 };
 
+const isSameDayOrFalse = (date, dateToCompare) => Boolean(dateToCompare) && isSameDay(date, dateToCompare);
+
 const isDateEqual = (date, dateToCompare) => {
   if (!date || !dateToCompare) {
     return false;
@@ -34,16 +39,47 @@ const isDateEqual = (date, dateToCompare) => {
   return isEqual(date, dateToCompare);
 };
 
+/**
+ * Format a date with the locale set with setDateLocale, or in English if it isn't set.
+ */
+export const formatDate = (date, formatString) => {
+  return format(date, formatString, { locale: getDateLocale() });
+};
+
+/**
+ * Get the short date format of the locale set with setDateLocale, e.g.
+ * "MM/dd/yyyy" in English or "dd.MM.y" in German.
+ */
+export const getShortDateFormat = () => {
+  return (getDateLocale() ?? enUS).formatLong.date({ width: 'short' });
+};
+
+/**
+ * Parse a typed date in the given format, by default the short date format of
+ * the locale. Returns null if it isn't a valid date. Years before 1000 aren't
+ * valid either, since they're most likely typed with only two digits.
+ */
+export const parseDate = (text, dateFormat = getShortDateFormat()) => {
+  const date = parse(text.trim(), dateFormat, new Date(), { locale: getDateLocale() });
+  return isValid(date) && getYear(date) >= 1000 ? date : null;
+};
+
+/**
+ * Get the first day of the week: 0 for Sunday to 6 for Saturday. Unless it's
+ * given, it's the one of the locale set with setDateLocale.
+ */
+export const getWeekStart = (weekStartsOn) => {
+  return weekStartsOn ?? getDateLocale()?.options?.weekStartsOn ?? WEEK_START;
+};
+
 /**
  * Get days for the calendar to be displayed in a table grouped by weeks
  */
-export const getCalendarDays = (month, year, selectedDay) => {
+export const getCalendarDays = (month, year, selectedDay, weekStartsOn = WEEK_START) => {
   const weeks = [];
   const firstDate = getDate(new Date(year, month));
   const lastDate = getDate(new Date(year, month + 1, 0));
 
-  const weekStartsOn = WEEK_START;
-
   const firstDateInCalendar = startOfWeek(firstDate, { weekStartsOn });
 
   const addDaysToWeek = (date) => {
@@ -67,11 +103,49 @@ export const getCalendarDays = (month, year, selectedDay) => {
 };
 
 /**
- * Generate week day names based on locale and in order specified in week start
+ * Get how a day relates to a range of dates: whether it is the start or the
+ * end of the range, or a day in between them. The range can be in either
+ * order, e.g. while previewing a range that ends before its start.
+ */
+export const getDayRangeState = (date, { start, end } = {}) => {
+  if (!start || !end) {
+    return { rangeStart: isSameDayOrFalse(date, start), rangeEnd: isSameDayOrFalse(date, end), inRange: false };
+  }
+  const [from, to] = differenceInCalendarDays(start, end) > 0 ? [end, start] : [start, end];
+  return {
+    rangeStart: isSameDay(date, from),
+    rangeEnd: isSameDay(date, to),
+    inRange: differenceInCalendarDays(date, from) > 0 && differenceInCalendarDays(to, date) > 0,
+  };
+};
+
+/**
+ * Whether a day is before the day of minDate or after the day of maxDate.
+ * Both limits are optional.
+ */
+export const isDayOutOfRange = (date, minDate, maxDate) => {
+  return (Boolean(minDate) && differenceInCalendarDays(date, minDate) < 0) ||
+    (Boolean(maxDate) && differenceInCalendarDays(date, maxDate) > 0);
+};
+
+/**
+ * Whether a month has no day between minDate and maxDate. Both limits are optional.
+ */
+export const isMonthOutOfRange = (date, minDate, maxDate) => {
+  return (Boolean(minDate) && differenceInCalendarMonths(date, minDate) < 0) ||
+    (Boolean(maxDate) && differenceInCalendarMonths(date, maxDate) > 0);
+};
+
+/**
+ * Generate week day names based on locale and in order specified in week start.
+ * The locale set with setDateLocale is used if it's set, otherwise the given one.
  */
 export const getWeekDayNames = (locale, weekStart) => {
   // Get list in order from sun ... sat
   const days = [1, 2, 3, 4, 5, 6, 7].map((day) => {
+    if (getDateLocale()) {
+      return formatDate(new Date(2017, 0, day), 'EEEEEE');
+    }
     return new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: 'UTC' })
       .format(new Date(`2017-01-0${day}T00:00:00+00:00`))
       .slice(0, 2);
@@ -86,6 +160,29 @@ export const getWeekDayNames = (locale, weekStart) => {
   return [days[weekStart]].concat(...afterWeekStart).concat(...beforeWeekStart);
 };
 
+/**
+ * Get the short name of the local time zone on the given date, e.g. "PDT" or "GMT+2".
+ */
+export const getTimeZoneName = (date, locale) => {
+  return new Intl.DateTimeFormat(locale, { timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName')?.value ?? '';
+};
+
+/**
+ * Get the next multiple of step after value in the given direction, wrapping
+ * around between 0 and max, e.g. the next minute of a 15 minute interval.
+ */
+export const stepTimeUnit = (value, step, direction, max) => {
+  const next = direction > 0
+    ? (Math.floor(value / step) + 1) * step
+    : (Math.ceil(value / step) - 1) * step;
+  if (next > max) {
+    return 0;
+  }
+  return next < 0 ? Math.floor(max / step) * step : next;
+};
+
 export const formatMonth = (month, monthFormat) => {
-  return format(new Date(2000, month, 1), monthFormat);
+  return formatDate(new Date(2000, month, 1), monthFormat);
 };
@@ -0,0 +1,165 @@
+import DtDrawer from './drawer.vue';
+
+import DtDrawerDefaultTemplate from './drawer_default.story.vue';
+import { DRAWER_PLACEMENT_MODIFIERS, DRAWER_SIZE_MODIFIERS } from './drawer_constants';
+import { createTemplateFromVueFile } from '@/common/storybook_utils';
+import { action } from '@storybook/addon-actions';
+
+// Default Props for all variations
+export const argsData = {
+  placement: 'right',
+  size: 'default',
+  modal: true,
+  closeButtonProps: {
+    ariaLabel: 'Close',
+  },
+  copy: `Lorem ipsum dolor sit amet, consectetur adipiscing elit. Sed eget lacus quis velit \
+viverra iaculis. Interdum et malesuada fames ac ante ipsum primis in faucibus. Vestibulum \
+maximus ipsum ex. Curabitur elementum luctus augue, quis eleifend tortor feugiat vel.`,
+  title: 'Contact details',
+  toggleOpen: action('update:show'),
+  visuallyHiddenCloseLabel: 'Close Drawer',
+};
+
+export const argTypesData = {
+  // Slots
+  default: {
+    control: 'text',
+    table: {
+      type: {
+        summary: 'VNode',
+      },
+    },
+  },
+  footer: {
+    control: 'text',
+    table: {
+      type: {
+        summary: 'VNode',
+      },
+    },
+  },
+  header: {
+    control: 'text',
+    table: {
+      type: {
+        summary: 'VNode',
+      },
+    },
+  },
+
+  // Props
+  placement: {
+    options: Object.keys(DRAWER_PLACEMENT_MODIFIERS),
+    control: {
+      type: 'select',
+    },
+  },
+  size: {
+    options: Object.keys(DRAWER_SIZE_MODIFIERS),
+    control: {
+      type: 'select',
+    },
+  },
+  showFooter: {
+    table: {
+      disable: true,
+    },
+  },
+  labelledById: {
+    table: {
+      defaultValue: {
+        summary: 'generated unique ID',
+      },
+    },
+  },
+
+  // Events
+  'update:show': {
+    description: `The drawer will emit a "false" boolean value when the user performs a drawer-closing action \
+     and a "true" boolean value after the drawer is fully-shown.\
+     Parent components can sync on this value to create a 2-way binding to control drawer visibility.`,
+    table: {
+      type: {
+        summary: 'boolean',
+      },
+    },
+  },
+
+  // Action Event Handlers
+  toggleOpen: {
+    table: {
+      disable: true,
+    },
+  },
+};
+
+export default {
+  title: 'Components/Drawer',
+  component: DtDrawer,
+  args: argsData,
+  argTypes: argTypesData,
+  excludeStories: /.*Data$/,
+};
+
+// Templates
+const DefaultTemplate = (args, { argTypes }) =>
+  createTemplateFromVueFile(args, argTypes, DtDrawerDefaultTemplate);
+
+export const Default = {
+  render: DefaultTemplate,
+
+  args: {
+    showFooter: true,
+  },
+
+  parameters: {
+    percy: {
+      args: {
+        show: true,
+      },
+    },
+  },
+};
+
+export const LeftPlacement = {
+  render: DefaultTemplate,
+
+  args: {
+    placement: 'left',
+  },
+
+  parameters: { ...Default.parameters },
+};
+
+export const BottomPlacement = {
+  render: DefaultTemplate,
+
+  args: {
+    placement: 'bottom',
+    showFooter: true,
+  },
+
+  parameters: { ...Default.parameters },
+};
+
+export const WithFullSize = {
+  render: DefaultTemplate,
+
+  args: {
+    size: 'full',
+    showFooter: true,
+  },
+
+  parameters: { ...Default.parameters },
+};
+
+export const NonModal = {
+  render: DefaultTemplate,
+
+  args: {
+    modal: false,
+  },
+
+  parameters: { ...Default.parameters },
+};
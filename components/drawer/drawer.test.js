@@ -0,0 +1,286 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import { DtDrawer } from '@/components/drawer';
+import { resetOverlayStack } from '@/common/overlay_stack';
+
+// jsdom can't match the selector that finds the first focusable element,
+// so the drawer focuses its close button instead.
+const baseProps = {
+  closeButtonProps: {
+    ariaLabel: 'Close drawer',
+    id: 'drawer-close',
+  },
+  initialFocusElement: '#drawer-close',
+  title: 'Contact details',
+  copy: 'Drawer content',
+};
+
+let mockProps = {};
+let mockSlots = {};
+const testContext = {};
+
+describe('DtDrawer Tests', () => {
+  let wrapper;
+  let drawer;
+  let dialog;
+  let closeBtn;
+  let trigger;
+
+  const _setChildWrappers = () => {
+    drawer = wrapper.find('[data-qa="dt-drawer"]');
+    dialog = wrapper.find('[data-qa="dt-drawer-dialog"]');
+    closeBtn = wrapper.find('.d-drawer__close');
+  };
+
+  const updateWrapper = () => {
+    wrapper = mount(DtDrawer, {
+      propsData: { ...baseProps, ...mockProps },
+      slots: mockSlots,
+      stubs: { transition: false },
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+
+    _setChildWrappers();
+  };
+
+  // The content is rendered the first time the drawer is shown.
+  const _open = async () => {
+    await wrapper.setProps({ show: true });
+    _setChildWrappers();
+  };
+
+  const _isScrollLocked = () => document.body.classList.contains('d-of-hidden');
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(() => {
+    trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+    updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    mockSlots = {};
+    wrapper.destroy();
+    trigger.remove();
+    resetOverlayStack();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should be hidden by default', () => {
+      expect(drawer.attributes('aria-hidden')).toBe('true');
+      expect(dialog.exists()).toBe(false);
+    });
+
+    describe('When it is shown', () => {
+      beforeEach(async () => {
+        await _open();
+      });
+
+      it('should render the dialog', () => {
+        expect(drawer.attributes('aria-hidden')).toBe('false');
+        expect(dialog.attributes('role')).toBe('dialog');
+        expect(dialog.attributes('aria-modal')).toBe('true');
+      });
+
+      it('should render the title and copy', () => {
+        expect(wrapper.find('[data-qa="dt-drawer-title"]').text()).toBe('Contact details');
+        expect(wrapper.find('[data-qa="dt-drawer-content"]').text()).toBe('Drawer content');
+      });
+
+      it('should label the dialog with the title', () => {
+        expect(dialog.attributes('aria-labelledby')).toBe(wrapper.find('[data-qa="dt-drawer-title"]').attributes('id'));
+      });
+
+      it('should render the close button', () => {
+        expect(closeBtn.attributes('aria-label')).toBe('Close drawer');
+      });
+
+      it('should slide in from the right', () => {
+        expect(drawer.classes()).toContain('d-drawer--right');
+      });
+    });
+
+    describe('When a placement is passed', () => {
+      beforeEach(() => {
+        mockProps = { placement: 'bottom', size: 'full' };
+        updateWrapper();
+      });
+
+      it('should have the placement and size classes', () => {
+        expect(drawer.classes()).toEqual(expect.arrayContaining(['d-drawer--bottom', 'd-drawer--full']));
+      });
+    });
+
+    describe('When slots are passed', () => {
+      beforeEach(async () => {
+        mockSlots = {
+          header: '<span>Custom header</span>',
+          default: '<div>Custom content</div>',
+          footer: '<button>Save</button>',
+        };
+        updateWrapper();
+        await _open();
+      });
+
+      it('should render them', () => {
+        expect(wrapper.find('[data-qa="dt-drawer-title"]').text()).toBe('Custom header');
+        expect(wrapper.find('[data-qa="dt-drawer-content"]').text()).toBe('Custom content');
+        expect(wrapper.find('[data-qa="dt-drawer-footer"]').text()).toBe('Save');
+      });
+    });
+
+    describe('When it is not modal', () => {
+      beforeEach(async () => {
+        mockProps = { modal: false };
+        updateWrapper();
+        await _open();
+      });
+
+      it('should not be modal', () => {
+        expect(drawer.classes()).toContain('d-drawer--modeless');
+        expect(dialog.attributes('aria-modal')).toBe('false');
+      });
+
+      it('should not lock the body scroll', () => {
+        expect(_isScrollLocked()).toBe(false);
+      });
+    });
+
+    describe('When hideClose is true without a visually hidden close button', () => {
+      let consoleErrorSpy;
+
+      beforeEach(() => {
+        consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        mockProps = { hideClose: true };
+        updateWrapper();
+      });
+
+      afterEach(() => {
+        consoleErrorSpy.mockRestore();
+      });
+
+      it('should hide the close button and raise a validation error', async () => {
+        await _open();
+
+        expect(closeBtn.exists()).toBe(false);
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('hideClose prop of DtDrawer'));
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When it is shown', () => {
+      beforeEach(async () => {
+        mockSlots = { default: '<input id="name-input">' };
+        mockProps = { initialFocusElement: '#name-input' };
+        updateWrapper();
+        await _open();
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should focus the initial focus element', () => {
+        expect(document.activeElement).toBe(wrapper.find('#name-input').element);
+      });
+
+      it('should lock the body scroll', () => {
+        expect(_isScrollLocked()).toBe(true);
+      });
+
+      it('should emit update:show when the close button is clicked', async () => {
+        await closeBtn.trigger('click');
+
+        expect(wrapper.emitted('update:show').at(-1)[0]).toBe(false);
+      });
+
+      it('should emit update:show when Escape is pressed', async () => {
+        await wrapper.find('#name-input').trigger('keydown', { code: 'Escape' });
+
+        expect(wrapper.emitted('update:show').at(-1)[0]).toBe(false);
+      });
+
+      it('should emit update:show when the overlay is clicked', async () => {
+        await drawer.trigger('click');
+
+        expect(wrapper.emitted('update:show').at(-1)[0]).toBe(false);
+      });
+
+      it('should not close when the dialog is clicked', async () => {
+        await dialog.trigger('click');
+
+        expect(wrapper.emitted('update:show').at(-1)[0]).toBe(true);
+      });
+
+      describe('When it is closed', () => {
+        beforeEach(async () => {
+          await wrapper.setProps({ show: false });
+        });
+
+        it('should return focus to the trigger', () => {
+          expect(document.activeElement).toBe(trigger);
+        });
+
+        it('should unlock the body scroll', () => {
+          expect(_isScrollLocked()).toBe(false);
+        });
+      });
+    });
+
+    describe('When closeOnClick is false', () => {
+      beforeEach(async () => {
+        mockProps = { closeOnClick: false };
+        updateWrapper();
+        await _open();
+      });
+
+      it('should not close when the overlay is clicked', async () => {
+        await drawer.trigger('click');
+
+        expect(wrapper.emitted('update:show').at(-1)[0]).toBe(true);
+      });
+    });
+
+    describe('When it is not modal', () => {
+      let outsideInput;
+
+      beforeEach(async () => {
+        outsideInput = document.createElement('input');
+        document.body.appendChild(outsideInput);
+        mockProps = { modal: false, initialFocusElement: '#name-input' };
+        mockSlots = { default: '<input id="name-input">' };
+        updateWrapper();
+        await _open();
+        await wrapper.vm.$nextTick();
+      });
+
+      afterEach(() => {
+        outsideInput.remove();
+      });
+
+      it('should not trap the focus', async () => {
+        const event = new KeyboardEvent('keydown', { key: 'Tab', code: 'Tab', bubbles: true, cancelable: true });
+        closeBtn.element.focus();
+        closeBtn.element.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(false);
+      });
+
+      it('should keep the focus on the page when it is closed', async () => {
+        outsideInput.focus();
+        await wrapper.setProps({ show: false });
+
+        expect(document.activeElement).toBe(outsideInput);
+      });
+
+      it('should return focus to the trigger when it is closed from within', async () => {
+        await wrapper.setProps({ show: false });
+
+        expect(document.activeElement).toBe(trigger);
+      });
+    });
+  });
+});
@@ -0,0 +1,12 @@
+// Drawer placement modifiers
+export const DRAWER_PLACEMENT_MODIFIERS = {
+  left: 'd-drawer--left',
+  right: 'd-drawer--right',
+  bottom: 'd-drawer--bottom',
+};
+
+// Drawer size modifiers, aligned to the modal sizes
+export const DRAWER_SIZE_MODIFIERS = {
+  default: '',
+  full: 'd-drawer--full',
+};
@@ -0,0 +1,2 @@
+export { default as DtDrawer } from './drawer.vue';
+export { DRAWER_PLACEMENT_MODIFIERS, DRAWER_SIZE_MODIFIERS } from './drawer_constants';
@@ -1,6 +1,7 @@
 import { createLocalVue, mount } from '@vue/test-utils';
 import DtDropdown from './dropdown.vue';
 import SrOnlyCloseButton from '@/common/sr_only_close_button.vue';
+import { DtListItemGroup } from '@/components/list_item_group';
 
 const MOCK_TRANSITION_STUB = () => ({
   render: function (h) {
@@ -189,5 +190,107 @@ describe('DtDropdown Tests', () => {
         expect(anchorElement.attributes('aria-expanded') === 'false').toBe(true);
       });
     });
+
+    describe('When the list is a virtual list item group', () => {
+      let dropdown;
+
+      beforeEach(() => {
+        wrapper.destroy();
+        wrapper = mount({
+          components: { DtDropdown, DtListItemGroup },
+          data: () => ({ items: Array.from({ length: 1000 }, (_, index) => `Item ${index}`) }),
+          template: `
+            <dt-dropdown open>
+              <template #anchor="{ attrs }">
+                <a href="#" id="anchor" v-bind="attrs">Link</a>
+              </template>
+              <template #list>
+                <dt-list-item-group id="group" :virtual-items="items">
+                  <template #item="{ item, id }">
+                    <li :id="id" :key="id" role="menuitem" tabindex="-1">{{ item }}</li>
+                  </template>
+                </dt-list-item-group>
+              </template>
+            </dt-dropdown>`,
+        }, {
+          localVue: testContext.localVue,
+          stubs: { transition: MOCK_TRANSITION_STUB() },
+          attachTo: document.body,
+        });
+        dropdown = wrapper.findComponent(DtDropdown);
+      });
+
+      afterEach(() => {
+        wrapper.destroy();
+      });
+
+      it('should highlight and focus the items that are not rendered', async () => {
+        dropdown.vm.onEndKey();
+        await wrapper.vm.$nextTick();
+
+        expect(dropdown.vm.highlightIndex).toBe(999);
+        expect(document.activeElement.id).toBe('group-item-999');
+
+        dropdown.vm.onUpKey();
+        await wrapper.vm.$nextTick();
+
+        expect(document.activeElement.id).toBe('group-item-998');
+      });
+
+      describe('When the list is measured while it is hidden', () => {
+        const ResizeObserver = global.ResizeObserver;
+        let onResize;
+        let container;
+
+        beforeEach(async () => {
+          global.ResizeObserver = class {
+            constructor (callback) { onResize = callback; }
+            observe () {}
+            disconnect () {}
+          };
+          wrapper.destroy();
+          wrapper = mount({
+            components: { DtDropdown, DtListItemGroup },
+            data: () => ({ items: Array.from({ length: 1000 }, (_, index) => `Item ${index}`) }),
+            template: `
+              <dt-dropdown open>
+                <template #anchor="{ attrs }">
+                  <a href="#" id="anchor" v-bind="attrs">Link</a>
+                </template>
+                <template #list>
+                  <div id="container" style="overflow-y: auto">
+                    <dt-list-item-group id="group" :virtual-items="items">
+                      <template #item="{ item, id }">
+                        <li :id="id" :key="id" role="menuitem" tabindex="-1">{{ item }}</li>
+                      </template>
+                    </dt-list-item-group>
+                  </div>
+                </template>
+              </dt-dropdown>`,
+          }, {
+            localVue: testContext.localVue,
+            stubs: { transition: MOCK_TRANSITION_STUB() },
+            attachTo: document.body,
+          });
+          await wrapper.vm.$nextTick();
+          container = wrapper.find('#container').element;
+        });
+
+        afterEach(() => {
+          global.ResizeObserver = ResizeObserver;
+        });
+
+        it('should render the visible items once the list is shown', async () => {
+          // 5 items are rendered after the hidden container, which has no height
+          expect(wrapper.findAll('[role="menuitem"]').length).toBe(5);
+
+          vi.spyOn(container, 'getBoundingClientRect').mockReturnValue({ top: 0, bottom: 360 });
+          onResize();
+          await wrapper.vm.$nextTick();
+
+          expect(wrapper.findAll('[role="menuitem"]').length).toBe(15);
+        });
+      });
+    });
   });
 });
@@ -1,6 +1,12 @@
 import { createLocalVue, mount } from '@vue/test-utils';
 import DtEmoji from './emoji.vue';
-import { setEmojiAssetUrlSmall, setEmojiAssetUrlLarge, setCustomEmojiUrl, setCustomEmojiJson } from '@/common/emoji.js';
+import {
+  setEmojiAssetUrlSmall,
+  setEmojiAssetUrlLarge,
+  setCustomEmojiUrl,
+  setCustomEmojiJson,
+  setEmojiSpriteSheet,
+} from '@/common/emoji.js';
 import customEmojiJson from '@/common/custom-emoji.json';
 
 setEmojiAssetUrlSmall('https://mockstorage.com/emojis/', '.png');
@@ -123,6 +129,40 @@ describe('DtEmoji Tests', () => {
     });
   });
 
+  describe('When a sprite sheet is set', () => {
+    beforeEach(() => {
+      setEmojiSpriteSheet('https://mockstorage.com/emojis/sprite.png', { '1f600': [0, 0], '1f604': [2, 1] });
+    });
+
+    afterEach(() => {
+      setEmojiSpriteSheet(null);
+    });
+
+    it('renders the emoji from the sprite sheet', () => {
+      mockProps = { code: ':smile:' };
+
+      updateWrapper();
+
+      const sprite = wrapper.find('[data-qa="dt-emoji-sprite"]');
+
+      expect(emoji.exists()).toBe(false);
+      expect(sprite.attributes('role')).toBe('img');
+      expect(sprite.attributes('aria-label')).toBe('grinning face with smiling eyes');
+      expect(sprite.element.style.backgroundImage).toBe('url(https://mockstorage.com/emojis/sprite.png)');
+      expect(sprite.element.style.backgroundSize).toBe('300% 200%');
+      expect(sprite.element.style.backgroundPosition).toBe('100% 100%');
+    });
+
+    it('renders the emojis missing from the sprite sheet as images', () => {
+      mockProps = { code: ':laughing:' };
+
+      updateWrapper();
+
+      expect(wrapper.find('[data-qa="dt-emoji-sprite"]').exists()).toBe(false);
+      expect(emoji.attributes('src')).toBe(MOCK_EXPECTED_LAUGHING_SRC);
+    });
+  });
+
   describe('Accessibility Tests', () => {
     describe('When an emoji is rendered', () => {
       it('should have aria-label describing the emoji', () => {
@@ -3,6 +3,8 @@ import { createTemplateFromVueFile } from '@/common/storybook_utils';
 import DtEmojiPicker from './emoji_picker.vue';
 import DtEmojiPickerDefaultTemplate from './emoji_picker_default.story.vue';
 import DtEmojiPickerWithPopoverTemplate from './emoji_picker_popover.story.vue';
+import DtEmojiPickerCustomTemplate from './emoji_picker_custom.story.vue';
+import { createEmojiUsageTracker } from './emoji_usage_tracker.js';
 
 const recentlyUsedEmojis = [
   {
@@ -56,6 +58,7 @@ export const argsData = {
   onSkinTone: action('skin-tone'),
   onSelectedEmoji: action('selected-emoji'),
   onClose: action('close'),
+  onAddEmoji: action('add-emoji'),
   tabSetLabels: [
     'Most recently used',
     'Smileys and people',
@@ -72,6 +75,7 @@ export const argsData = {
   searchNoResultsLabel: 'No results',
   searchResultsLabel: 'Search results',
   searchPlaceholderLabel: 'Search...',
+  customTabLabel: 'Custom',
   skinTone: 'Default',
   showPopover: false,
 };
@@ -96,6 +100,14 @@ export const argTypesData = {
       disable: true,
     },
   },
+  onAddEmoji: {
+    table: {
+      disable: true,
+    },
+  },
+  usageTracker: {
+    control: false,
+  },
 };
 
 export default {
@@ -124,6 +136,12 @@ const WithPopoverTemplate = (args, { argTypes }) => createTemplateFromVueFile(
   DtEmojiPickerWithPopoverTemplate,
 );
 
+const CustomTemplate = (args, { argTypes }) => createTemplateFromVueFile(
+  args,
+  argTypes,
+  DtEmojiPickerCustomTemplate,
+);
+
 // Stories
 export const Default = {
   render: Template,
@@ -147,3 +165,16 @@ export const WithPopover = {
     },
   },
 };
+
+export const WithCustomEmojis = {
+  render: CustomTemplate,
+  args: {},
+};
+
+export const WithUsageTracker = {
+  render: Template,
+  args: {
+    recentlyUsedEmojis: [],
+    usageTracker: createEmojiUsageTracker({ storage: window.localStorage }),
+  },
+};
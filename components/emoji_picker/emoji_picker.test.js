@@ -1,5 +1,11 @@
 import { createLocalVue, mount } from '@vue/test-utils';
 import DtEmojiPicker from './emoji_picker.vue';
+import { createEmojiUsageTracker } from './emoji_usage_tracker.js';
+import { setCustomEmojiJson, setCustomEmojiUrl } from '@/common/emoji';
+import { withValidCustomEmojis } from '@/common/custom-emoji-test.js';
+import { flushPromises } from '@/common/utils';
+import { EMOJIS_PER_ROW, EMOJI_PICKER_OVERSCAN_ROWS, EMOJI_PICKER_ROW_HEIGHT } from './emoji_picker_constants';
+import { emojiCounts, loadEmojis } from './emojis';
 
 const MOCK_RECENTLY_USED_EMOJIS = [
   {
@@ -77,15 +83,22 @@ const baseProps = {
 let mockProps = {};
 const testContext = {};
 
+// Waits for the emojis of the tabs to be loaded and rendered
+const waitForEmojis = async () => {
+  await vi.dynamicImportSettled();
+  await flushPromises();
+};
+
 describe('DtEmojiPicker Tests', () => {
   let wrapper;
   let skinToneSelectorButton, skinToneSelectorImg, skinToneMediumLightButton;
 
-  const updateWrapper = () => {
+  const updateWrapper = async () => {
     wrapper = mount(DtEmojiPicker, {
       propsData: { ...baseProps, ...mockProps },
       attachTo: document.body,
     });
+    await waitForEmojis();
 
     skinToneSelectorButton = wrapper.find('.d-emoji-picker__skin-selected button');
     skinToneSelectorImg = wrapper.find('.d-emoji-picker__skin-selected button img');
@@ -96,8 +109,8 @@ describe('DtEmojiPicker Tests', () => {
     testContext.localVue = createLocalVue();
   });
 
-  beforeEach(() => {
-    updateWrapper();
+  beforeEach(async () => {
+    await updateWrapper();
   });
 
   afterEach(() => {
@@ -196,7 +209,7 @@ describe('DtEmojiPicker Tests', () => {
     });
 
     describe('When recently emojis is not provided', () => {
-      it('Should not render recently emojis tabset', () => {
+      it('Should not render recently emojis tabset', async () => {
         mockProps = {
           ...baseProps,
           recentlyUsedEmojis: [],
@@ -212,7 +225,7 @@ describe('DtEmojiPicker Tests', () => {
           ],
         };
 
-        updateWrapper();
+        await updateWrapper();
 
         const firstButton = wrapper.find('.d-tablist').findAll('button').at(0);
 
@@ -365,3 +378,302 @@ describe('DtEmojiPicker Tests', () => {
     });
   });
 });
+
+describe('DtEmojiPicker Usage Tracker Tests', () => {
+  let wrapper;
+  let usageTracker;
+
+  const updateWrapper = async () => {
+    wrapper = mount(DtEmojiPicker, {
+      propsData: { ...baseProps, recentlyUsedEmojis: undefined, usageTracker },
+      attachTo: document.body,
+    });
+    await waitForEmojis();
+  };
+
+  beforeEach(() => {
+    usageTracker = createEmojiUsageTracker();
+  });
+
+  afterEach(() => {
+    wrapper.destroy();
+  });
+
+  describe('When no emojis are recorded', () => {
+    beforeEach(async () => {
+      await updateWrapper();
+    });
+
+    it('Should not render the recently used tab', () => {
+      const tabs = wrapper.find('.d-tablist').findAll('button');
+
+      expect(tabs.length).toBe(MOCK_TAB_SET_LABELS.length - 1);
+      expect(tabs.at(0).attributes('aria-label')).toBe(MOCK_TAB_SET_LABELS[1]);
+    });
+
+    it('Should record the selected emoji', async () => {
+      await wrapper.find('.d-emoji-picker__selector .d-emoji-picker__tab button').trigger('click');
+
+      const selectedEmoji = wrapper.emitted('selected-emoji')[0][0];
+
+      expect(usageTracker.getFrequentlyUsed()).toEqual([selectedEmoji]);
+    });
+  });
+
+  describe('When emojis are recorded', () => {
+    beforeEach(async () => {
+      usageTracker.record(MOCK_RECENTLY_USED_EMOJIS[1]);
+      usageTracker.record(MOCK_RECENTLY_USED_EMOJIS[0]);
+      usageTracker.record(MOCK_RECENTLY_USED_EMOJIS[0]);
+      await updateWrapper();
+    });
+
+    it('Should render the most used emojis in the recently used tab', () => {
+      const tabs = wrapper.find('.d-tablist').findAll('button');
+      const recentlyUsedEmojis = wrapper.findAll('.d-emoji-picker__selector .d-emoji-picker__alignment')
+        .at(1).findAll('button img');
+
+      expect(tabs.at(0).attributes('aria-label')).toBe(MOCK_TAB_SET_LABELS[0]);
+      expect(recentlyUsedEmojis.wrappers.map(emoji => emoji.attributes('alt'))).toEqual([
+        MOCK_RECENTLY_USED_EMOJIS[0].name,
+        MOCK_RECENTLY_USED_EMOJIS[1].name,
+      ]);
+    });
+
+    it('Should rank the search results by usage', async () => {
+      usageTracker.record(':tea:');
+      await wrapper.find('.d-emoji-picker__search input').setValue('tea');
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const filteredEmojis = wrapper.find('[data-qa="filtered-emojis"]').findAll('img');
+
+      expect(filteredEmojis.length).toBeGreaterThan(1);
+      expect(filteredEmojis.at(0).attributes('alt')).toBe('teacup without handle');
+    });
+  });
+});
+
+// Custom emojis can't be removed, so this runs before they're set.
+describe('DtEmojiPicker Custom Tab Added While Shown Tests', () => {
+  let wrapper;
+
+  beforeEach(async () => {
+    wrapper = mount(DtEmojiPicker, {
+      propsData: baseProps,
+      attachTo: document.body,
+    });
+    await waitForEmojis();
+
+    setCustomEmojiUrl('https://example.com/emojis/');
+    setCustomEmojiJson(withValidCustomEmojis);
+    await wrapper.vm.$nextTick();
+  });
+
+  afterEach(() => {
+    wrapper.destroy();
+  });
+
+  it('Should focus the first custom emoji when the custom tab is selected', async () => {
+    const tabs = wrapper.find('.d-tablist').findAll('button');
+    await tabs.at(tabs.length - 1).trigger('click');
+    await wrapper.vm.$nextTick();
+
+    const customTab = wrapper.findAll('.d-emoji-picker__selector .d-emoji-picker__alignment').at(10);
+
+    expect(tabs.length).toBe(MOCK_TAB_SET_LABELS.length + 1);
+    expect(document.activeElement).toBe(customTab.find('button').element);
+  });
+
+  it('Should observe the label of the custom tab', () => {
+    const customTab = wrapper.findAll('.d-emoji-picker__selector .d-emoji-picker__alignment').at(10);
+
+    expect(customTab.element.dataset.index).toBe('10');
+  });
+});
+
+describe('DtEmojiPicker Custom Emoji Tests', () => {
+  let wrapper;
+  let customTab;
+
+  const findCustomTab = () => wrapper.findAll('.d-emoji-picker__selector .d-emoji-picker__alignment').at(10);
+
+  const updateWrapper = async (options = {}) => {
+    wrapper = mount(DtEmojiPicker, {
+      propsData: { ...baseProps, ...mockProps },
+      attachTo: document.body,
+      ...options,
+    });
+    await waitForEmojis();
+
+    customTab = findCustomTab();
+  };
+
+  beforeAll(() => {
+    setCustomEmojiUrl('https://example.com/emojis/');
+    setCustomEmojiJson(withValidCustomEmojis);
+  });
+
+  beforeEach(async () => {
+    await updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('Should render the custom tab last with the default label', () => {
+      const tabs = wrapper.find('.d-tablist').findAll('button');
+
+      expect(tabs.length).toBe(MOCK_TAB_SET_LABELS.length + 1);
+      expect(tabs.at(tabs.length - 1).attributes('aria-label')).toBe('Custom');
+    });
+
+    it('Should render the provided custom tab label', async () => {
+      await wrapper.setProps({ customTabLabel: 'Workspace' });
+
+      const tabs = wrapper.find('.d-tablist').findAll('button');
+
+      expect(tabs.at(tabs.length - 1).attributes('aria-label')).toBe('Workspace');
+      expect(customTab.find('p').text()).toBe('Workspace');
+    });
+
+    it('Should render the custom emojis from the custom emoji url', () => {
+      const emoji = customTab.find('button img');
+
+      expect(emoji.attributes('alt')).toBe('octocat');
+      expect(emoji.attributes('src')).toBe('https://example.com/emojis/octocat.png');
+    });
+
+    it('Should render the add emoji slot in the custom tab', async () => {
+      await updateWrapper({ scopedSlots: { addEmoji: '<button data-qa="add-emoji">Add emoji</button>' } });
+
+      expect(customTab.find('[data-qa="add-emoji"]').exists()).toBe(true);
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    it('Should emit the custom emoji when it is clicked', async () => {
+      await customTab.find('button').trigger('click');
+
+      expect(wrapper.emitted('selected-emoji')[0][0]).toMatchObject({ key: 'octocat', custom: true });
+    });
+
+    it('Should find custom emojis by shortcode', async () => {
+      await wrapper.find('.d-emoji-picker__search input').setValue(':octocat');
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const filteredEmojis = wrapper.find('[data-qa="filtered-emojis"]').findAll('img');
+
+      expect(filteredEmojis.length).toBe(1);
+      expect(filteredEmojis.at(0).attributes('src')).toBe('https://example.com/emojis/octocat.png');
+    });
+
+    it('Should find custom emojis by keyword', async () => {
+      await wrapper.find('.d-emoji-picker__search input').setValue('github');
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const filteredEmojis = wrapper.find('[data-qa="filtered-emojis"]').findAll('img');
+
+      expect(filteredEmojis.length).toBe(1);
+      expect(filteredEmojis.at(0).attributes('alt')).toBe('octocat');
+    });
+  });
+
+  describe('Accessibility Tests', () => {
+    it('Should jump to the add emoji slot from the last custom emoji', async () => {
+      await updateWrapper({ scopedSlots: { addEmoji: '<button data-qa="add-emoji">Add emoji</button>' } });
+
+      await customTab.find('button').trigger('keydown.tab');
+
+      expect(document.activeElement).toBe(customTab.find('[data-qa="add-emoji"]').element);
+    });
+  });
+
+  // Custom emojis can't be removed, so this runs after the other tests.
+  describe('When custom emojis are added while it is shown', () => {
+    beforeEach(async () => {
+      setCustomEmojiJson({
+        partyparrot: { ...withValidCustomEmojis.octocat, name: 'partyparrot', shortname: ':partyparrot:' },
+      });
+      await wrapper.vm.$nextTick();
+    });
+
+    it('Should render them in the custom tab', () => {
+      const emojis = findCustomTab().findAll('button img');
+
+      expect(emojis.length).toBe(2);
+      expect(emojis.at(1).attributes('alt')).toBe('partyparrot');
+    });
+  });
+});
+
+describe('DtEmojiPicker Lazy Loading Tests', () => {
+  let wrapper;
+
+  const findTab = (index) => wrapper.findAll('.d-emoji-picker__selector .d-emoji-picker__tab').at(index);
+
+  const updateWrapper = async () => {
+    wrapper = mount(DtEmojiPicker, {
+      propsData: { ...baseProps, ...mockProps },
+      attachTo: document.body,
+    });
+    await waitForEmojis();
+  };
+
+  beforeEach(async () => {
+    await updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('Should only render the first rows of the tabs', () => {
+      expect(findTab(1).findAll('button').length).toBe(EMOJIS_PER_ROW * EMOJI_PICKER_OVERSCAN_ROWS);
+    });
+
+    it('Should replace the rows that are not rendered with padding', () => {
+      const hiddenRows = Math.ceil(emojiCounts.People / EMOJIS_PER_ROW) - EMOJI_PICKER_OVERSCAN_ROWS;
+      const peopleTab = findTab(1);
+
+      expect(peopleTab.element.style.paddingTop).toBe('0px');
+      expect(peopleTab.element.style.paddingBottom).toBe(`${hiddenRows * EMOJI_PICKER_ROW_HEIGHT}px`);
+    });
+
+    it.each(Object.keys(emojiCounts))('Should count the emojis of the %s skin tone with the fewest', async (category) => {
+      const skinTones = ['Default', 'Light', 'MediumLight', 'Medium', 'MediumDark', 'Dark'];
+      const emojis = await Promise.all(skinTones.map(skinTone => loadEmojis(category, skinTone)));
+
+      expect(emojiCounts[category]).toBe(Math.min(...emojis.map(({ length }) => length)));
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    it('Should load the emojis of the selected skin tone', async () => {
+      await wrapper.setProps({ skinTone: 'Dark' });
+      await wrapper.find('.d-emoji-picker__search input').setValue('raising hands');
+      await waitForEmojis();
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const filteredEmojis = wrapper.find('[data-qa="filtered-emojis"]').findAll('img');
+
+      expect(filteredEmojis.at(0).attributes('alt')).toBe('raising hands: dark skin tone');
+    });
+  });
+
+  describe('Accessibility Tests', () => {
+    it('Should render the row of the focused emoji', async () => {
+      await findTab(2).find('button').trigger('keydown.left');
+      await wrapper.vm.$nextTick();
+
+      const peopleEmojis = findTab(1).findAll('button');
+
+      expect(peopleEmojis.length).toBeGreaterThan(EMOJIS_PER_ROW * EMOJI_PICKER_OVERSCAN_ROWS);
+      expect(document.activeElement).toBe(peopleEmojis.at(peopleEmojis.length - 1).element);
+    });
+  });
+});
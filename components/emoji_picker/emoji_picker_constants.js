@@ -1,5 +1,11 @@
 export const CDN_URL = 'https://static.dialpadcdn.com/joypixels/png/unicode/32/';
 export const EMOJIS_PER_ROW = 9;
+
+// Height in px of a row of the emoji grid, including the gap between rows.
+export const EMOJI_PICKER_ROW_HEIGHT = 38;
+
+// Number of rows rendered above and below the visible rows of the emoji grid.
+export const EMOJI_PICKER_OVERSCAN_ROWS = 4;
 export const EMOJI_PICKER_SKIN_TONE_MODIFIERS = {
   DEFAULT: 'Default',
   LIGHT: 'Light',
@@ -19,9 +25,23 @@ export const EMOJI_PICKER_CATEGORIES = {
   OBJECTS: 'Objects',
   SYMBOLS: 'Symbols',
   FLAGS: 'Flags',
+  CUSTOM: 'Custom',
 };
 
+// Number of tabs before the Custom tab, from Most recently used to Flags, which are labeled with tabSetLabels.
+export const EMOJI_PICKER_STANDARD_TABS_COUNT = 9;
+
+// Time in ms it takes for the score of an emoji to halve since it was last used.
+export const EMOJI_USAGE_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+export const EMOJI_USAGE_MAX_TRACKED = 100;
+
+export const EMOJI_USAGE_STORAGE_KEY = 'dt-emoji-usage';
+
 export default {
   EMOJI_PICKER_SKIN_TONE_MODIFIERS,
   EMOJI_PICKER_CATEGORIES,
+  EMOJI_USAGE_HALF_LIFE,
+  EMOJI_USAGE_MAX_TRACKED,
+  EMOJI_USAGE_STORAGE_KEY,
 };
@@ -0,0 +1,156 @@
+import Vue from 'vue';
+import { codeToEmojiData } from '@/common/emoji';
+import {
+  EMOJI_USAGE_HALF_LIFE,
+  EMOJI_USAGE_MAX_TRACKED,
+  EMOJI_USAGE_STORAGE_KEY,
+} from './emoji_picker_constants.js';
+
+/**
+ * Creates an emoji usage tracker, which ranks the emojis selected with `record` by how often
+ * and how recently they were used: each use adds a point to the score of the emoji, and the
+ * score halves every `halfLife` ms. Pass it to DtEmojiPicker and DtRecipeEmojiRow with their
+ * `usageTracker` prop to fill the Most recently used tab, rank the search results and show
+ * quick reactions.
+ *
+ * The usage is persisted with the storage adapter, an object with the `getItem` and `setItem`
+ * methods of `window.localStorage`. They may also return promises.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage Storage adapter, e.g. `window.localStorage`. Usage isn't persisted without it.
+ * @param {String} options.storageKey Key the usage is stored under
+ * @param {Number} options.halfLife Time in ms it takes for the score of an emoji to halve
+ * @param {Number} options.maxTracked Maximum number of tracked emojis, the lowest ranked ones are dropped
+ */
+export function createEmojiUsageTracker ({
+  storage = null,
+  storageKey = EMOJI_USAGE_STORAGE_KEY,
+  halfLife = EMOJI_USAGE_HALF_LIFE,
+  maxTracked = EMOJI_USAGE_MAX_TRACKED,
+} = {}) {
+  const state = Vue.observable({
+    // Tracked emojis as `{ emoji, score, lastUsedAt }`, from the highest to the lowest ranked
+    usage: [],
+  });
+
+  const getKey = (emoji) => emoji.shortname;
+
+  const decayedScore = (entry, now = Date.now()) => {
+    return entry.score * Math.pow(0.5, (now - entry.lastUsedAt) / halfLife);
+  };
+
+  // The order of two emojis never changes as their scores decay at the same rate,
+  // so the usage only needs sorting when it changes.
+  const sortAndTrim = (usage) => {
+    const now = Date.now();
+    return usage
+      .sort((a, b) => decayedScore(b, now) - decayedScore(a, now))
+      .slice(0, maxTracked);
+  };
+
+  function persist () {
+    if (!storage) {
+      return;
+    }
+    Promise.resolve(storage.setItem(storageKey, JSON.stringify(state.usage))).catch(() => {});
+  }
+
+  // Emojis from the emoji data, e.g. found by unicode character, don't have
+  // the unicode_character property of the emojis of the picker.
+  function toEmoji (emojiOrCode) {
+    if (typeof emojiOrCode !== 'string') {
+      return emojiOrCode;
+    }
+    const emojiData = codeToEmojiData(emojiOrCode);
+    if (!emojiData) {
+      return null;
+    }
+    return emojiData.custom ? { ...emojiData } : { ...emojiData, unicode_character: emojiData.key };
+  }
+
+  /**
+   * Resolves once the usage is loaded from the storage. Emojis recorded
+   * before that are kept along with the stored ones.
+   * @type {Promise<undefined>}
+   */
+  const ready = Promise.resolve(storage?.getItem(storageKey))
+    .then(stored => {
+      const storedUsage = stored ? JSON.parse(stored) : [];
+      const keys = state.usage.map(entry => getKey(entry.emoji));
+      state.usage = sortAndTrim([
+        ...state.usage,
+        ...storedUsage.filter(entry => !keys.includes(getKey(entry.emoji))),
+      ]);
+    })
+    .catch(() => {});
+
+  /**
+   * Records a use of an emoji.
+   *
+   * @param {Object|String} emoji Emoji data, as emitted by DtEmojiPicker, or its unicode character or shortcode
+   */
+  function record (emoji) {
+    emoji = toEmoji(emoji);
+    if (!emoji?.shortname) {
+      return;
+    }
+    const now = Date.now();
+    const entry = state.usage.find(entry => getKey(entry.emoji) === getKey(emoji));
+    const score = entry ? decayedScore(entry, now) : 0;
+
+    state.usage = sortAndTrim([
+      ...state.usage.filter(other => other !== entry),
+      { emoji, score: score + 1, lastUsedAt: now },
+    ]);
+    persist();
+  }
+
+  /**
+   * Returns the current score of an emoji, 0 if it's not tracked.
+   *
+   * @param {Object|String} emoji Emoji data or its unicode character or shortcode
+   * @returns {Number}
+   */
+  function getScore (emoji) {
+    emoji = toEmoji(emoji);
+    const entry = emoji && state.usage.find(entry => getKey(entry.emoji) === getKey(emoji));
+    return entry ? decayedScore(entry) : 0;
+  }
+
+  /**
+   * Returns the most used emojis, from the highest to the lowest ranked.
+   *
+   * @param {Number} limit Maximum number of emojis
+   * @returns {Object[]}
+   */
+  function getFrequentlyUsed (limit = maxTracked) {
+    return state.usage.slice(0, limit).map(entry => entry.emoji);
+  }
+
+  /**
+   * Sorts a list of emojis by their score, keeping the order of the ones with the same score.
+   *
+   * @param {Object[]} emojis Emoji data
+   * @returns {Object[]} A sorted copy of the list
+   */
+  function rank (emojis) {
+    const ranks = new Map(state.usage.map((entry, index) => [getKey(entry.emoji), index]));
+    const getRank = (emoji) => ranks.get(getKey(emoji)) ?? Infinity;
+    return emojis
+      .map((emoji, index) => ({ emoji, index }))
+      .sort((a, b) => (getRank(a.emoji) - getRank(b.emoji)) || (a.index - b.index))
+      .map(({ emoji }) => emoji);
+  }
+
+  /**
+   * Forgets the usage of all the emojis.
+   */
+  function clear () {
+    state.usage = [];
+    persist();
+  }
+
+  return { state, ready, record, getScore, getFrequentlyUsed, rank, clear };
+}
+
+export default createEmojiUsageTracker;
@@ -0,0 +1,165 @@
+import { createEmojiUsageTracker } from './emoji_usage_tracker.js';
+import { EMOJI_USAGE_HALF_LIFE, EMOJI_USAGE_STORAGE_KEY } from './emoji_picker_constants';
+
+const MOCK_THUMBS_UP = {
+  name: 'thumbs up',
+  category: 'people',
+  shortname: ':thumbsup:',
+  shortname_alternates: [':+1:', ':thumbup:'],
+  keywords: ['+1', 'hand', 'thumb', 'up', 'uc6'],
+  unicode_output: '1f44d',
+  unicode_character: '1f44d',
+};
+const MOCK_COFFEE = {
+  name: 'hot beverage',
+  category: 'food',
+  shortname: ':coffee:',
+  shortname_alternates: [],
+  keywords: ['beverage', 'coffee', 'drink', 'hot', 'steaming', 'tea', 'uc4'],
+  unicode_output: '2615',
+  unicode_character: '2615',
+};
+
+const _createStorage = (items = {}) => ({
+  items,
+  getItem: vi.fn(key => items[key] ?? null),
+  setItem: vi.fn((key, value) => { items[key] = value; }),
+});
+
+describe('Emoji Usage Tracker Tests', () => {
+  let tracker;
+
+  const _getShortnames = () => tracker.getFrequentlyUsed().map(emoji => emoji.shortname);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    tracker = createEmojiUsageTracker();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('When emojis are recorded', () => {
+    beforeEach(() => {
+      tracker.record(MOCK_THUMBS_UP);
+      tracker.record(MOCK_COFFEE);
+      tracker.record(MOCK_COFFEE);
+    });
+
+    it('should rank them by how often they were used', () => {
+      expect(_getShortnames()).toEqual([':coffee:', ':thumbsup:']);
+      expect(tracker.getScore(MOCK_COFFEE)).toBe(2);
+      expect(tracker.getScore(MOCK_THUMBS_UP)).toBe(1);
+    });
+
+    it('should halve their score every half life', () => {
+      vi.advanceTimersByTime(EMOJI_USAGE_HALF_LIFE);
+
+      expect(tracker.getScore(MOCK_COFFEE)).toBe(1);
+    });
+
+    it('should rank a recently used emoji above a formerly frequent one', () => {
+      vi.advanceTimersByTime(EMOJI_USAGE_HALF_LIFE * 2);
+      tracker.record(MOCK_THUMBS_UP);
+
+      expect(_getShortnames()).toEqual([':thumbsup:', ':coffee:']);
+    });
+
+    it('should limit the number of frequently used emojis', () => {
+      expect(tracker.getFrequentlyUsed(1)).toEqual([MOCK_COFFEE]);
+    });
+
+    it('should sort a list of emojis by their rank', () => {
+      const unusedEmoji = { ...MOCK_COFFEE, shortname: ':tea:' };
+
+      expect(tracker.rank([unusedEmoji, MOCK_THUMBS_UP, MOCK_COFFEE]))
+        .toEqual([MOCK_COFFEE, MOCK_THUMBS_UP, unusedEmoji]);
+    });
+
+    it('should forget them when it is cleared', () => {
+      tracker.clear();
+
+      expect(tracker.getFrequentlyUsed()).toEqual([]);
+    });
+  });
+
+  describe('When an emoji is recorded by its code', () => {
+    it('should record it with its emoji data', () => {
+      tracker.record('👍');
+      tracker.record(':thumbsup:');
+
+      expect(tracker.getFrequentlyUsed()).toEqual([expect.objectContaining({
+        name: 'thumbs up',
+        shortname: ':thumbsup:',
+        unicode_character: '1f44d',
+      })]);
+      expect(tracker.getScore('👍')).toBe(2);
+    });
+
+    it('should ignore unknown codes', () => {
+      tracker.record(':not_an_emoji:');
+
+      expect(tracker.getFrequentlyUsed()).toEqual([]);
+    });
+  });
+
+  describe('When there are more emojis than the maximum', () => {
+    beforeEach(() => {
+      tracker = createEmojiUsageTracker({ maxTracked: 1 });
+      tracker.record(MOCK_THUMBS_UP);
+      tracker.record(MOCK_THUMBS_UP);
+      tracker.record(MOCK_COFFEE);
+    });
+
+    it('should drop the lowest ranked ones', () => {
+      expect(_getShortnames()).toEqual([':thumbsup:']);
+    });
+  });
+
+  describe('When a storage adapter is provided', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = _createStorage();
+      tracker = createEmojiUsageTracker({ storage });
+    });
+
+    it('should persist the recorded emojis', () => {
+      tracker.record(MOCK_COFFEE);
+
+      expect(storage.setItem).toHaveBeenCalledWith(EMOJI_USAGE_STORAGE_KEY, expect.any(String));
+      expect(JSON.parse(storage.items[EMOJI_USAGE_STORAGE_KEY])).toEqual([
+        { emoji: MOCK_COFFEE, score: 1, lastUsedAt: Date.now() },
+      ]);
+    });
+
+    it('should load the persisted emojis', async () => {
+      tracker.record(MOCK_COFFEE);
+      tracker = createEmojiUsageTracker({ storage });
+      await tracker.ready;
+
+      expect(_getShortnames()).toEqual([':coffee:']);
+    });
+
+    it('should keep the emojis recorded while the storage is loading', async () => {
+      storage = _createStorage({
+        [EMOJI_USAGE_STORAGE_KEY]: JSON.stringify([{ emoji: MOCK_COFFEE, score: 5, lastUsedAt: Date.now() }]),
+      });
+      storage.getItem = vi.fn(key => Promise.resolve(storage.items[key]));
+      tracker = createEmojiUsageTracker({ storage });
+      tracker.record(MOCK_THUMBS_UP);
+      await tracker.ready;
+
+      expect(_getShortnames()).toEqual([':coffee:', ':thumbsup:']);
+    });
+
+    it('should ignore invalid persisted usage', async () => {
+      storage = _createStorage({ [EMOJI_USAGE_STORAGE_KEY]: '{' });
+      tracker = createEmojiUsageTracker({ storage });
+      await tracker.ready;
+
+      expect(tracker.getFrequentlyUsed()).toEqual([]);
+    });
+  });
+});
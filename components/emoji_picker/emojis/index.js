@@ -1,54 +1,69 @@
-import ActivityDefault from './activity-default.json';
-import ActivityLight from './activity-light.json';
-import ActivityMediumLight from './activity-medium-light.json';
-import ActivityMedium from './activity-medium.json';
-import ActivityMediumDark from './activity-medium-dark.json';
-import ActivityDark from './activity-dark.json';
-import Flags from './flags.json';
-import Food from './food.json';
-import Nature from './nature.json';
-import ObjectsDefault from './objects-default.json';
-import ObjectsLight from './objects-light.json';
-import ObjectsMediumLight from './objects-medium-light.json';
-import ObjectsMedium from './objects-medium.json';
-import ObjectsMediumDark from './objects-medium-dark.json';
-import ObjectsDark from './objects-dark.json';
-import PeopleDefault from './people-default.json';
-import PeopleLight from './people-light.json';
-import PeopleMediumLight from './people-medium-light.json';
-import PeopleMedium from './people-medium.json';
-import PeopleMediumDark from './people-medium-dark.json';
-import PeopleDark from './people-dark.json';
-import Symbols from './symbols.json';
-import Travel from './travel.json';
+// Loaders of the emojis of each tab, keyed by category, followed by the
+// skin tone for the categories that have skin tone variations. Each one is
+// loaded the first time the tab is shown with that skin tone.
+const EMOJI_LOADERS = {
+  ActivityDefault: () => import('./activity-default.json'),
+  ActivityLight: () => import('./activity-light.json'),
+  ActivityMediumLight: () => import('./activity-medium-light.json'),
+  ActivityMedium: () => import('./activity-medium.json'),
+  ActivityMediumDark: () => import('./activity-medium-dark.json'),
+  ActivityDark: () => import('./activity-dark.json'),
+  Flags: () => import('./flags.json'),
+  Food: () => import('./food.json'),
+  Nature: () => import('./nature.json'),
+  ObjectsDefault: () => import('./objects-default.json'),
+  ObjectsLight: () => import('./objects-light.json'),
+  ObjectsMediumLight: () => import('./objects-medium-light.json'),
+  ObjectsMedium: () => import('./objects-medium.json'),
+  ObjectsMediumDark: () => import('./objects-medium-dark.json'),
+  ObjectsDark: () => import('./objects-dark.json'),
+  PeopleDefault: () => import('./people-default.json'),
+  PeopleLight: () => import('./people-light.json'),
+  PeopleMediumLight: () => import('./people-medium-light.json'),
+  PeopleMedium: () => import('./people-medium.json'),
+  PeopleMediumDark: () => import('./people-medium-dark.json'),
+  PeopleDark: () => import('./people-dark.json'),
+  Symbols: () => import('./symbols.json'),
+  Travel: () => import('./travel.json'),
+};
 
-export const emojisGrouped = {
-  ActivityDefault,
-  ActivityLight,
-  ActivityMediumLight,
-  ActivityMedium,
-  ActivityMediumDark,
-  ActivityDark,
-  Flags,
-  Food,
-  Nature,
-  ObjectsDefault,
-  ObjectsLight,
-  ObjectsMediumLight,
-  ObjectsMedium,
-  ObjectsMediumDark,
-  ObjectsDark,
-  PeopleDefault,
-  PeopleLight,
-  PeopleMediumLight,
-  PeopleMedium,
-  PeopleMediumDark,
-  PeopleDark,
-  Symbols,
-  Travel,
+// Number of emojis of each category, used to size the tabs before their emojis are loaded.
+// The count of a category with skin tones is that of its skin tone with the fewest emojis,
+// so that a tab doesn't shrink once its emojis are loaded.
+export const emojiCounts = {
+  People: 465,
+  Nature: 199,
+  Food: 122,
+  Activity: 117,
+  Travel: 127,
+  Objects: 219,
+  Symbols: 308,
+  Flags: 269,
 };
 
-export const emojisIndexed = [].concat(...Object.values(emojisGrouped)).reduce((accumulator, item) => {
-  accumulator[item.unicode_character] = item;
-  return accumulator;
-}, {});
+const loadedEmojis = {};
+
+/**
+ * Returns the key of the emojis of a category with a skin tone, e.g. PeopleLight
+ * for People, or just the category if it doesn't have skin tone variations.
+ * @param {String} category
+ * @param {String} skinTone
+ * @returns {String}
+ */
+export function getEmojisKey (category, skinTone) {
+  return EMOJI_LOADERS[category + skinTone] ? category + skinTone : category;
+}
+
+/**
+ * Loads the emojis of a category with a skin tone. Each one is only loaded once.
+ * @param {String} category
+ * @param {String} skinTone
+ * @returns {Promise<Object[]>}
+ */
+export function loadEmojis (category, skinTone) {
+  const key = getEmojisKey(category, skinTone);
+  if (!loadedEmojis[key]) {
+    loadedEmojis[key] = EMOJI_LOADERS[key]().then(module => module.default);
+  }
+  return loadedEmojis[key];
+}
@@ -1,2 +1,9 @@
 export { default as DtEmojiPicker } from './emoji_picker.vue';
-export { EMOJI_PICKER_SKIN_TONE_MODIFIERS, EMOJI_PICKER_CATEGORIES } from './emoji_picker_constants';
+export { createEmojiUsageTracker } from './emoji_usage_tracker.js';
+export {
+  EMOJI_PICKER_SKIN_TONE_MODIFIERS,
+  EMOJI_PICKER_CATEGORIES,
+  EMOJI_USAGE_HALF_LIFE,
+  EMOJI_USAGE_MAX_TRACKED,
+  EMOJI_USAGE_STORAGE_KEY,
+} from './emoji_picker_constants';
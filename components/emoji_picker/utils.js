@@ -0,0 +1,24 @@
+import { customEmojiAssetUrl, getEmojiSpriteStyle } from '@/common/emoji';
+import { CDN_URL } from '@/components/emoji_picker/emoji_picker_constants';
+
+/**
+ * Returns the image url of an emoji of the picker. Custom emojis are
+ * served from the url set with setCustomEmojiUrl.
+ * @param {Object} emoji The emoji data
+ * @returns {String}
+ */
+export const getEmojiImgSrc = (emoji) => {
+  return emoji.custom
+    ? customEmojiAssetUrl + emoji.key + emoji.extension
+    : CDN_URL + emoji.unicode_character + '.png';
+};
+
+/**
+ * Returns the style that renders an emoji of the picker from the sprite sheet
+ * set with setEmojiSpriteSheet, or null if it should be rendered as an image.
+ * @param {Object} emoji The emoji data
+ * @returns {Object|null}
+ */
+export const getSpriteStyle = (emoji) => {
+  return emoji.custom ? null : getEmojiSpriteStyle(emoji.unicode_character);
+};
@@ -3,6 +3,7 @@ import DtImageViewer from './image_viewer.vue';
 
 import DtImageViewerDefaultTemplate from './image_viewer_default.story.vue';
 import DtImageViewerVariantsTemplate from './image_viewer_variants.story.vue';
+import DtImageViewerGalleryTemplate from './image_viewer_gallery.story.vue';
 import { action } from '@storybook/addon-actions';
 
 import defaultImage from '@/common/assets/test.jpg';
@@ -101,6 +102,31 @@ export const argTypesData = {
     },
   },
 
+  images: {
+    description: 'Images of the gallery, as objects with a src and an alt',
+    table: {
+      category: 'props',
+      type: {
+        summary: 'array',
+      },
+    },
+    control: {
+      type: 'object',
+    },
+  },
+
+  // Slots
+  download: {
+    description: 'Slot for a download action of the current gallery image. Receives the image and its index.',
+    control: false,
+    table: {
+      category: 'slots',
+      type: {
+        summary: 'VNode',
+      },
+    },
+  },
+
   // Events
   onOpened: {
     table: {
@@ -114,6 +140,12 @@ export const argTypesData = {
     },
   },
 
+  'update:index': {
+    table: {
+      disable: true,
+    },
+  },
+
   opened: {
     description: `emitted when popover is shown or hidden.`,
     table: {
@@ -138,6 +170,8 @@ const DefaultTemplate = (args, { argTypes }) =>
   createTemplateFromVueFile(args, argTypes, DtImageViewerDefaultTemplate);
 const VariantsTemplate = (args, { argTypes }) =>
   createTemplateFromVueFile(args, argTypes, DtImageViewerVariantsTemplate);
+const GalleryTemplate = (args, { argTypes }) =>
+  createTemplateFromVueFile(args, argTypes, DtImageViewerGalleryTemplate);
 
 export const Default = {
   render: DefaultTemplate,
@@ -171,3 +205,14 @@ export const Variants = {
     },
   },
 };
+
+export const Gallery = {
+  render: GalleryTemplate,
+  args: {},
+
+  parameters: {
+    options: {
+      showPanel: false,
+    },
+  },
+};
@@ -68,6 +68,27 @@ describe('DtImageViewer Tests', () => {
       });
     });
 
+    describe.each([
+      ['imageSrc'],
+      ['imageAlt'],
+    ])('When %s is missing without images', (prop) => {
+      let consoleErrorSpy;
+
+      beforeEach(() => {
+        consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+        mockProps = { [prop]: '' };
+        updateWrapper();
+      });
+
+      afterEach(() => {
+        consoleErrorSpy.mockRestore();
+      });
+
+      it('should raise a validation error', () => {
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('the imageSrc and imageAlt props'));
+      });
+    });
+
     describe('Viewing the image in full screen modal', () => {
       beforeEach(async () => {
         await _openModal();
@@ -147,3 +168,271 @@ describe('DtImageViewer Tests', () => {
     });
   });
 });
+
+describe('DtImageViewer Gallery Tests', () => {
+  const images = [
+    { src: 'first.png', alt: 'First image' },
+    { src: 'second.png', alt: 'Second image' },
+    { src: 'third.png', alt: 'Third image' },
+  ];
+
+  let wrapper;
+  let fullImage;
+
+  const updateWrapper = (props = {}) => {
+    wrapper = shallowMount(DtImageViewer, {
+      propsData: {
+        images,
+        closeAriaLabel: 'closeButtonAriaLabel',
+        ariaLabel: 'Click to open gallery',
+        ...props,
+      },
+      stubs: {
+        DtButton,
+      },
+    });
+  };
+
+  const _openGallery = async () => {
+    await wrapper.find('[data-qa="dt-image-viewer-preview"]').trigger('click');
+    fullImage = wrapper.find('[data-qa="dt-image-viewer-full"] img');
+  };
+
+  const _pressKey = async (code) => {
+    await wrapper.find('[data-qa="dt-modal"]').trigger('keydown', { code });
+    fullImage = wrapper.find('[data-qa="dt-image-viewer-full"] img');
+  };
+
+  const _zoom = () => wrapper.vm.zoom;
+
+  afterEach(() => {
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    let consoleErrorSpy;
+
+    beforeEach(async () => {
+      consoleErrorSpy = vi.spyOn(console, 'error');
+      updateWrapper({ index: 1 });
+      await _openGallery();
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should not require imageSrc and imageAlt', () => {
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
+    });
+
+    it('should preview and open the image at the index', () => {
+      expect(wrapper.find('[data-qa="dt-image-viewer-preview"] img').attributes('src')).toBe('second.png');
+      expect(fullImage.attributes('src')).toBe('second.png');
+      expect(fullImage.attributes('alt')).toBe('Second image');
+    });
+
+    it('should render a thumbnail for each image', () => {
+      const thumbnails = wrapper.findAll('[data-qa="dt-image-viewer-thumbnail"]');
+
+      expect(thumbnails.length).toBe(3);
+      expect(thumbnails.at(1).attributes('aria-current')).toBe('true');
+      expect(thumbnails.at(0).attributes('aria-current')).toBeUndefined();
+    });
+
+    it('should announce the position of the image', () => {
+      const position = wrapper.find('[data-qa="dt-image-viewer-position"]');
+
+      expect(position.attributes('aria-live')).toBe('polite');
+      expect(position.text()).toBe('Image 2 of 3');
+    });
+
+    it('should render the download slot with the current image', async () => {
+      wrapper.destroy();
+      wrapper = shallowMount(DtImageViewer, {
+        propsData: { images, closeAriaLabel: 'Close', ariaLabel: 'Open' },
+        stubs: { DtButton },
+        scopedSlots: {
+          download: '<a data-qa="download" :href="props.image.src">{{ props.index }}</a>',
+        },
+      });
+      await _openGallery();
+
+      const download = wrapper.find('[data-qa="download"]');
+      expect(download.attributes('href')).toBe('first.png');
+      expect(download.text()).toBe('0');
+    });
+  });
+
+  describe('When there is a single image', () => {
+    beforeEach(async () => {
+      updateWrapper({ images: [images[0]] });
+      await _openGallery();
+    });
+
+    it('should show the zoom buttons but not the navigation', () => {
+      expect(wrapper.find('[data-qa="dt-image-viewer-zoom-in"]').exists()).toBe(true);
+      expect(wrapper.find('[data-qa="dt-image-viewer-next"]').exists()).toBe(false);
+      expect(wrapper.find('[data-qa="dt-image-viewer-thumbnails"]').exists()).toBe(false);
+    });
+  });
+
+  describe('Navigation Tests', () => {
+    beforeEach(async () => {
+      updateWrapper();
+      await _openGallery();
+    });
+
+    it('should show the next and previous images with the buttons', async () => {
+      await wrapper.find('[data-qa="dt-image-viewer-next"]').trigger('click');
+
+      expect(wrapper.find('[data-qa="dt-image-viewer-full"] img').attributes('src')).toBe('second.png');
+      expect(wrapper.emitted('update:index')).toEqual([[1]]);
+
+      await wrapper.find('[data-qa="dt-image-viewer-previous"]').trigger('click');
+
+      expect(wrapper.find('[data-qa="dt-image-viewer-full"] img').attributes('src')).toBe('first.png');
+      expect(wrapper.emitted('update:index')).toEqual([[1], [0]]);
+    });
+
+    it('should show the next and previous images with the arrow keys', async () => {
+      await _pressKey('ArrowRight');
+      await _pressKey('ArrowRight');
+
+      expect(fullImage.attributes('src')).toBe('third.png');
+      expect(wrapper.find('[data-qa="dt-image-viewer-position"]').text()).toBe('Image 3 of 3');
+
+      await _pressKey('ArrowLeft');
+
+      expect(fullImage.attributes('src')).toBe('second.png');
+    });
+
+    it('should not go past the first and last images', async () => {
+      expect(wrapper.find('[data-qa="dt-image-viewer-previous"]').attributes('disabled')).toBe('disabled');
+
+      await _pressKey('ArrowLeft');
+
+      expect(fullImage.attributes('src')).toBe('first.png');
+
+      await _pressKey('ArrowRight');
+      await _pressKey('ArrowRight');
+      await _pressKey('ArrowRight');
+
+      expect(fullImage.attributes('src')).toBe('third.png');
+      expect(wrapper.find('[data-qa="dt-image-viewer-next"]').attributes('disabled')).toBe('disabled');
+      expect(wrapper.emitted('update:index')).toEqual([[1], [2]]);
+    });
+
+    it('should show the image of a thumbnail when it is clicked', async () => {
+      await wrapper.findAll('[data-qa="dt-image-viewer-thumbnail"]').at(2).trigger('click');
+
+      expect(wrapper.find('[data-qa="dt-image-viewer-full"] img').attributes('src')).toBe('third.png');
+      expect(wrapper.emitted('update:index')).toEqual([[2]]);
+    });
+
+    it('should follow the index prop', async () => {
+      await wrapper.setProps({ index: 2 });
+
+      expect(wrapper.find('[data-qa="dt-image-viewer-full"] img').attributes('src')).toBe('third.png');
+      expect(wrapper.emitted('update:index')).toBeUndefined();
+    });
+
+    it('should open again on the image at the index', async () => {
+      await _pressKey('ArrowRight');
+      await wrapper.find('[data-qa="dt-image-viewer-close-btn"]').trigger('click');
+      await _openGallery();
+
+      expect(fullImage.attributes('src')).toBe('first.png');
+    });
+  });
+
+  describe('Zoom Tests', () => {
+    beforeAll(() => {
+      Object.defineProperty(HTMLElement.prototype, 'offsetWidth', { configurable: true, get: () => 200 });
+      Object.defineProperty(HTMLElement.prototype, 'offsetHeight', { configurable: true, get: () => 100 });
+    });
+
+    afterAll(() => {
+      delete HTMLElement.prototype.offsetWidth;
+      delete HTMLElement.prototype.offsetHeight;
+    });
+
+    beforeEach(async () => {
+      updateWrapper();
+      await _openGallery();
+    });
+
+    it('should zoom in and out with the buttons', async () => {
+      const zoomOut = wrapper.find('[data-qa="dt-image-viewer-zoom-out"]');
+      expect(zoomOut.attributes('disabled')).toBe('disabled');
+
+      await wrapper.find('[data-qa="dt-image-viewer-zoom-in"]').trigger('click');
+
+      expect(_zoom()).toBe(1.5);
+      expect(fullImage.attributes('style')).toContain('scale(1.5)');
+
+      await zoomOut.trigger('click');
+
+      expect(_zoom()).toBe(1);
+    });
+
+    it('should not zoom past the maximum', async () => {
+      const zoomIn = wrapper.find('[data-qa="dt-image-viewer-zoom-in"]');
+      for (let i = 0; i < 10; i++) {
+        await zoomIn.trigger('click');
+      }
+
+      expect(_zoom()).toBe(4);
+      expect(zoomIn.attributes('disabled')).toBe('disabled');
+    });
+
+    it('should zoom with the mouse wheel', async () => {
+      await wrapper.find('[data-qa="dt-image-viewer-full"]').trigger('wheel', { deltaY: -100 });
+
+      expect(_zoom()).toBe(2);
+
+      await wrapper.find('[data-qa="dt-image-viewer-full"]').trigger('wheel', { deltaY: 500 });
+
+      expect(_zoom()).toBe(1);
+    });
+
+    it('should zoom by pinching', async () => {
+      await fullImage.trigger('pointerdown', { pointerId: 1, clientX: 100, clientY: 50 });
+      await fullImage.trigger('pointerdown', { pointerId: 2, clientX: 120, clientY: 50 });
+      await fullImage.trigger('pointermove', { pointerId: 2, clientX: 150, clientY: 50 });
+
+      expect(_zoom()).toBe(2.5);
+
+      await fullImage.trigger('pointerup', { pointerId: 2 });
+      await fullImage.trigger('pointermove', { pointerId: 1, clientX: 90, clientY: 50 });
+
+      expect(_zoom()).toBe(2.5);
+    });
+
+    it('should pan the zoomed image by dragging it, within its edges', async () => {
+      await wrapper.find('[data-qa="dt-image-viewer-zoom-in"]').trigger('click');
+      await fullImage.trigger('pointerdown', { pointerId: 1, clientX: 100, clientY: 50 });
+      await fullImage.trigger('pointermove', { pointerId: 1, clientX: 130, clientY: 60 });
+
+      expect(fullImage.attributes('style')).toContain('translate(30px, 10px)');
+
+      await fullImage.trigger('pointermove', { pointerId: 1, clientX: 300, clientY: 300 });
+
+      expect(fullImage.attributes('style')).toContain('translate(50px, 25px)');
+    });
+
+    it('should not pan the image when it is not zoomed', async () => {
+      await fullImage.trigger('pointerdown', { pointerId: 1, clientX: 100, clientY: 50 });
+      await fullImage.trigger('pointermove', { pointerId: 1, clientX: 130, clientY: 60 });
+
+      expect(fullImage.attributes('style')).toContain('translate(0px, 0px)');
+    });
+
+    it('should reset the zoom when the image changes', async () => {
+      await wrapper.find('[data-qa="dt-image-viewer-zoom-in"]').trigger('click');
+      await _pressKey('ArrowRight');
+
+      expect(_zoom()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,9 @@
+// Zoom levels of the gallery, where 1 fits the image to the screen
+export const IMAGE_VIEWER_MIN_ZOOM = 1;
+export const IMAGE_VIEWER_MAX_ZOOM = 4;
+
+// Zoom change of the zoom in and zoom out buttons
+export const IMAGE_VIEWER_ZOOM_STEP = 0.5;
+
+// Zoom change per pixel scrolled with the mouse wheel
+export const IMAGE_VIEWER_WHEEL_ZOOM_SPEED = 0.01;
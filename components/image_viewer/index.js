@@ -1 +1,7 @@
 export { default as DtImageViewer } from './image_viewer.vue';
+export {
+  IMAGE_VIEWER_MIN_ZOOM,
+  IMAGE_VIEWER_MAX_ZOOM,
+  IMAGE_VIEWER_ZOOM_STEP,
+  IMAGE_VIEWER_WHEEL_ZOOM_SPEED,
+} from './image_viewer_constants';
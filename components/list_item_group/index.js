@@ -1,2 +1,5 @@
 export { default as DtListItemGroup } from './list_item_group.vue';
-export {} from './list_item_group_constants';
+export {
+  LIST_ITEM_GROUP_VIRTUAL_ITEM_HEIGHT,
+  LIST_ITEM_GROUP_VIRTUAL_OVERSCAN,
+} from './list_item_group_constants';
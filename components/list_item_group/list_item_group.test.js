@@ -49,4 +49,115 @@ describe('DtListItemGroup Tests', () => {
       });
     });
   });
+
+  describe('Virtual List Tests', () => {
+    const VIRTUAL_ITEMS = Array.from({ length: 1000 }, (_, index) => `Item ${index}`);
+    let highlightId;
+
+    const _mountVirtualList = async (props = {}) => {
+      wrapper = mount(DtListItemGroup, {
+        propsData: { ...baseProps, virtualItems: VIRTUAL_ITEMS, ...props },
+        scopedSlots: {
+          item: '<li :id="props.id" :key="props.id" role="option" class="item">{{ props.item }}</li>',
+        },
+        provide: {
+          highlightId: () => highlightId,
+        },
+        localVue: testContext.localVue,
+      });
+      await wrapper.vm.$nextTick();
+    };
+
+    const _renderedItems = () => wrapper.findAll('.item').wrappers.map(item => item.text());
+    const _spacerHeights = () => wrapper.findAll('[data-qa="dt-list-item-group-spacer"]').wrappers
+      .map(spacer => spacer.element.style.height);
+
+    beforeEach(() => {
+      highlightId = '';
+      window.innerHeight = 360;
+    });
+
+    afterEach(() => {
+      wrapper.destroy();
+    });
+
+    it('should only render the items visible in the window', async () => {
+      await _mountVirtualList();
+
+      // 10 visible items and 5 more after them
+      expect(_renderedItems()).toEqual(VIRTUAL_ITEMS.slice(0, 15));
+      expect(_spacerHeights()).toEqual([`${985 * 36}px`]);
+    });
+
+    it('should set the ids of the items for the keyboard navigation', async () => {
+      await _mountVirtualList();
+
+      expect(wrapper.find('.item').attributes('id')).toBe('list-item-group-item-0');
+      expect(wrapper.vm.getVirtualItemIndex('list-item-group-item-999')).toBe(999);
+      expect(wrapper.vm.getVirtualItemIndex('list-item-group-item-1000')).toBe(-1);
+      expect(wrapper.vm.getVirtualItemIndex('other-item-0')).toBe(-1);
+    });
+
+    it('should render the items scrolled into view', async () => {
+      await _mountVirtualList({ heading: '' });
+      vi.spyOn(wrapper.element, 'getBoundingClientRect').mockReturnValue({ top: -3600 });
+
+      window.dispatchEvent(new Event('scroll'));
+      await wrapper.vm.$nextTick();
+
+      expect(_renderedItems()).toEqual(VIRTUAL_ITEMS.slice(95, 115));
+      expect(_spacerHeights()).toEqual([`${95 * 36}px`, `${885 * 36}px`]);
+    });
+
+    it('should render the items visible in the nearest scrollable ancestor', async () => {
+      const container = document.createElement('div');
+      container.style.overflowY = 'auto';
+      document.body.appendChild(container);
+      vi.spyOn(container, 'getBoundingClientRect').mockReturnValue({ top: 0, bottom: 72 });
+
+      wrapper = mount(DtListItemGroup, {
+        propsData: { ...baseProps, heading: '', virtualItems: VIRTUAL_ITEMS, virtualItemHeight: 24 },
+        scopedSlots: { item: '<li :key="props.id" class="item">{{ props.item }}</li>' },
+        attachTo: container.appendChild(document.createElement('div')),
+      });
+      await wrapper.vm.$nextTick();
+
+      expect(_renderedItems()).toEqual(VIRTUAL_ITEMS.slice(0, 8));
+
+      vi.spyOn(wrapper.element, 'getBoundingClientRect').mockReturnValue({ top: -240 });
+      container.dispatchEvent(new Event('scroll'));
+      await wrapper.vm.$nextTick();
+
+      expect(_renderedItems()).toEqual(VIRTUAL_ITEMS.slice(5, 18));
+      container.remove();
+    });
+
+    it('should render the highlighted item even if it is not visible', async () => {
+      highlightId = 'list-item-group-item-500';
+      await _mountVirtualList();
+
+      expect(_renderedItems()).toEqual([...VIRTUAL_ITEMS.slice(0, 15), 'Item 500']);
+      expect(_spacerHeights()).toEqual([`${485 * 36}px`, `${499 * 36}px`]);
+    });
+
+    it('should update the rendered items when the items change', async () => {
+      await _mountVirtualList();
+
+      await wrapper.setProps({ virtualItems: VIRTUAL_ITEMS.slice(0, 3) });
+
+      expect(_renderedItems()).toEqual(VIRTUAL_ITEMS.slice(0, 3));
+      expect(_spacerHeights()).toEqual([]);
+    });
+
+    it('should render the default slot when there are no virtual items', () => {
+      wrapper = mount(DtListItemGroup, {
+        propsData: baseProps,
+        slots: { default: '<li class="item">Item</li>' },
+        localVue: testContext.localVue,
+      });
+
+      expect(_renderedItems()).toEqual(['Item']);
+      expect(wrapper.attributes('data-dt-virtual-list')).toBeUndefined();
+    });
+  });
 });
@@ -1,5 +1,13 @@
 export const DEFAULT_CONSTANTS = null;
 
+// Default height in pixels of the items of a virtual list item group
+export const LIST_ITEM_GROUP_VIRTUAL_ITEM_HEIGHT = 36;
+
+// Number of items of a virtual list item group rendered before and after the visible ones
+export const LIST_ITEM_GROUP_VIRTUAL_OVERSCAN = 5;
+
 export default {
   DEFAULT_CONSTANTS,
+  LIST_ITEM_GROUP_VIRTUAL_ITEM_HEIGHT,
+  LIST_ITEM_GROUP_VIRTUAL_OVERSCAN,
 };
@@ -0,0 +1,212 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import DtDialogContainer from './dialog_container.vue';
+import { createDialogService } from './dialog_service.js';
+
+let mockProps = {};
+const testContext = {};
+
+describe('DtDialogContainer Tests', () => {
+  let wrapper;
+  let service;
+  let trigger;
+  let result;
+
+  const updateWrapper = () => {
+    wrapper = mount(DtDialogContainer, {
+      propsData: { service, ...mockProps },
+      localVue: testContext.localVue,
+      stubs: { transition: false },
+      attachTo: document.body,
+    });
+  };
+
+  const _findDialogs = () => document.querySelectorAll('[data-qa="dt-modal"]');
+  const _findVisibleDialogs = () => [..._findDialogs()].filter(dialog => dialog.style.display !== 'none');
+  const _findButton = (qa, index = 0) => _findDialogs()[index].querySelector(`[data-qa="${qa}"]`);
+
+  const _flush = async () => {
+    await wrapper.vm.$nextTick();
+    await wrapper.vm.$nextTick();
+  };
+
+  // jsdom can't match the selector that finds the first focusable element,
+  // so the dialogs focus one of their buttons instead.
+  const _openConfirm = async (dialog = {}) => {
+    result = service.confirm({
+      title: 'Delete contact',
+      message: 'The contact will be deleted.',
+      initialFocusElement: 'cancel',
+      ...dialog,
+    });
+    await _flush();
+  };
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(() => {
+    trigger = document.createElement('button');
+    document.body.appendChild(trigger);
+    trigger.focus();
+    service = createDialogService();
+    updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+    trigger.remove();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should not render any dialog', () => {
+      expect(_findDialogs().length).toBe(0);
+    });
+
+    describe('When a confirm dialog is opened', () => {
+      beforeEach(async () => {
+        await _openConfirm({ kind: 'danger', confirmText: 'Delete' });
+      });
+
+      it('should render the dialog in the body', () => {
+        expect(_findDialogs().length).toBe(1);
+        expect(wrapper.element.contains(_findDialogs()[0])).toBe(false);
+      });
+
+      it('should render the title and message', () => {
+        expect(_findDialogs()[0].querySelector('[data-qa="dt-modal-title"]').textContent.trim()).toBe('Delete contact');
+        expect(_findDialogs()[0].querySelector('[data-qa="dt-modal-copy"]').textContent.trim())
+          .toBe('The contact will be deleted.');
+      });
+
+      it('should render the kind of the dialog', () => {
+        expect(_findDialogs()[0].classList.contains('d-modal--danger')).toBe(true);
+        expect(_findButton('dt-dialog-confirm').classList.contains('d-btn--danger')).toBe(true);
+      });
+
+      it('should render the buttons', () => {
+        expect(_findButton('dt-dialog-confirm').textContent.trim()).toBe('Delete');
+        expect(_findButton('dt-dialog-cancel').textContent.trim()).toBe('Cancel');
+      });
+    });
+
+    describe('When an alert dialog is opened', () => {
+      beforeEach(async () => {
+        service.alert({ message: 'The contact was deleted.', initialFocusElement: 'confirm' });
+        await _flush();
+      });
+
+      it('should only render the confirm button', () => {
+        expect(_findButton('dt-dialog-confirm').textContent.trim()).toBe('OK');
+        expect(_findButton('dt-dialog-cancel')).toBeNull();
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    beforeEach(async () => {
+      await _openConfirm();
+    });
+
+    it('should focus the initial focus element', () => {
+      expect(document.activeElement).toBe(_findButton('dt-dialog-cancel'));
+    });
+
+    describe('When the confirm button is clicked', () => {
+      beforeEach(async () => {
+        _findButton('dt-dialog-confirm').click();
+        await _flush();
+      });
+
+      it('should resolve to true', async () => {
+        await expect(result).resolves.toBe(true);
+      });
+
+      it('should remove the dialog', () => {
+        expect(_findDialogs().length).toBe(0);
+      });
+
+      it('should return the focus to the trigger', () => {
+        expect(document.activeElement).toBe(trigger);
+      });
+    });
+
+    describe('When the cancel button is clicked', () => {
+      beforeEach(async () => {
+        _findButton('dt-dialog-cancel').click();
+        await _flush();
+      });
+
+      it('should resolve to false', async () => {
+        await expect(result).resolves.toBe(false);
+      });
+    });
+
+    describe('When Escape is pressed', () => {
+      beforeEach(async () => {
+        _findButton('dt-dialog-cancel').dispatchEvent(
+          new KeyboardEvent('keydown', { code: 'Escape', bubbles: true }),
+        );
+        await _flush();
+      });
+
+      it('should resolve to false', async () => {
+        await expect(result).resolves.toBe(false);
+      });
+    });
+
+    describe('When the initial focus element is the confirm button', () => {
+      beforeEach(async () => {
+        await _openConfirm({ initialFocusElement: 'confirm' });
+      });
+
+      it('should focus the confirm button', () => {
+        expect(document.activeElement).toBe(_findButton('dt-dialog-confirm', 1));
+      });
+    });
+
+    describe('When another dialog is opened from the dialog', () => {
+      let firstResult;
+
+      beforeEach(async () => {
+        firstResult = result;
+        await _openConfirm({ title: 'Are you sure?', initialFocusElement: 'confirm' });
+      });
+
+      it('should stack the new dialog on top', () => {
+        expect(_findVisibleDialogs().length).toBe(2);
+        expect(document.activeElement).toBe(_findButton('dt-dialog-confirm', 1));
+      });
+
+      describe('When Escape is pressed on the new dialog', () => {
+        beforeEach(async () => {
+          document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { code: 'Escape', bubbles: true }));
+          await _flush();
+        });
+
+        it('should only close the new dialog', async () => {
+          await expect(result).resolves.toBe(false);
+          expect(_findVisibleDialogs().length).toBe(1);
+          expect(_findDialogs()[0].textContent).toContain('Delete contact');
+        });
+
+        it('should return the focus to the first dialog', () => {
+          expect(document.activeElement).toBe(_findButton('dt-dialog-cancel'));
+        });
+
+        describe('When the first dialog is confirmed', () => {
+          beforeEach(async () => {
+            _findButton('dt-dialog-confirm').click();
+            await _flush();
+          });
+
+          it('should resolve the first dialog', async () => {
+            await expect(firstResult).resolves.toBe(true);
+            expect(_findDialogs().length).toBe(0);
+          });
+        });
+      });
+    });
+  });
+});
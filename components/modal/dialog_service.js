@@ -0,0 +1,126 @@
+import Vue from 'vue';
+import { getUniqueString } from '@/common/utils';
+
+/**
+ * Creates a dialog service, which keeps the confirm and alert dialogs opened
+ * with `confirm` and `alert` until the user answers them. Dialogs opened while
+ * another one is open are stacked on top of it. The dialogs are rendered by
+ * DtDialogContainer.
+ *
+ * @param {Object} options
+ * @param {String} options.confirmText Default text of the confirm button
+ * @param {String} options.cancelText Default text of the cancel button
+ */
+export function createDialogService ({
+  confirmText: defaultConfirmText = 'Confirm',
+  cancelText: defaultCancelText = 'Cancel',
+} = {}) {
+  const state = Vue.observable({
+    // Open dialogs, from the bottom to the top of the stack
+    dialogs: [],
+  });
+
+  // Resolve functions of the promises of the open dialogs, keyed by their id.
+  const resolvers = {};
+
+  function open ({
+    title = '',
+    message = '',
+    kind = 'default',
+    initialFocusElement = 'first',
+    confirmText,
+    cancelText = null,
+  }, { confirmValue, dismissValue }) {
+    const dialog = {
+      id: getUniqueString(),
+      show: true,
+      title,
+      message,
+      kind,
+      initialFocusElement,
+      confirmText,
+      cancelText,
+      confirmValue,
+      dismissValue,
+    };
+    state.dialogs.push(dialog);
+    return new Promise(resolve => {
+      resolvers[dialog.id] = resolve;
+    });
+  }
+
+  /**
+   * Opens a confirm dialog with a confirm and a cancel button.
+   *
+   * @param {Object} dialog
+   * @param {String} dialog.title Title of the dialog
+   * @param {String} dialog.message Message of the dialog
+   * @param {String} dialog.confirmText Text of the confirm button
+   * @param {String} dialog.cancelText Text of the cancel button
+   * @param {String} dialog.kind Theme of the dialog: default or danger
+   * @param {String} dialog.initialFocusElement Element focused when the dialog opens: confirm or cancel for
+   * its buttons, or any value of the initialFocusElement prop of DtModal. Defaults to the first button.
+   * @returns {Promise<Boolean>} Resolves to true if the user confirms, false if the dialog is cancelled or closed
+   */
+  function confirm (dialog = {}) {
+    return open(
+      { confirmText: defaultConfirmText, cancelText: defaultCancelText, ...dialog },
+      { confirmValue: true, dismissValue: false },
+    );
+  }
+
+  /**
+   * Opens an alert dialog with a single button to acknowledge it.
+   *
+   * @param {Object} dialog
+   * @param {String} dialog.title Title of the dialog
+   * @param {String} dialog.message Message of the dialog
+   * @param {String} dialog.confirmText Text of the button
+   * @param {String} dialog.kind Theme of the dialog: default or danger
+   * @param {String} dialog.initialFocusElement Element focused when the dialog opens, as in `confirm`
+   * @returns {Promise<undefined>} Resolves once the dialog is closed
+   */
+  function alert (dialog = {}) {
+    return open({ confirmText: 'OK', ...dialog, cancelText: null }, {});
+  }
+
+  /**
+   * Closes a dialog, resolving its promise with the given value.
+   * The dialog is removed once it finished its leave transition with `remove`.
+   *
+   * @param {String} id The id of the dialog
+   * @param {*} value The value the promise resolves to
+   */
+  function close (id, value) {
+    const dialog = state.dialogs.find(dialog => dialog.id === id);
+    if (!dialog?.show) {
+      return;
+    }
+    dialog.show = false;
+    resolvers[id](value);
+    delete resolvers[id];
+  }
+
+  /**
+   * Removes a closed dialog.
+   *
+   * @param {String} id The id of the dialog
+   */
+  function remove (id) {
+    state.dialogs = state.dialogs.filter(dialog => dialog.id !== id || dialog.show);
+  }
+
+  return { state, confirm, alert, close, remove };
+}
+
+/**
+ * Vue plugin that adds a dialog service as `this.$dtDialog` to every component.
+ * It takes the same options as `createDialogService`.
+ */
+export const DtDialogPlugin = {
+  install (Vue, options = {}) {
+    Vue.prototype.$dtDialog = createDialogService(options);
+  },
+};
+
+export default DtDialogPlugin;
@@ -0,0 +1,133 @@
+import { createLocalVue } from '@vue/test-utils';
+import { createDialogService, DtDialogPlugin } from './dialog_service.js';
+
+const MOCK_DIALOG = { title: 'Delete contact', message: 'The contact will be deleted.' };
+
+describe('Dialog Service Tests', () => {
+  let service;
+
+  const _getDialog = (index = 0) => service.state.dialogs[index];
+
+  beforeEach(() => {
+    service = createDialogService();
+  });
+
+  describe('When a confirm dialog is opened', () => {
+    let result;
+
+    beforeEach(() => {
+      result = service.confirm(MOCK_DIALOG);
+    });
+
+    it('should add the dialog with the default texts', () => {
+      expect(_getDialog()).toEqual(expect.objectContaining({
+        ...MOCK_DIALOG,
+        show: true,
+        kind: 'default',
+        confirmText: 'Confirm',
+        cancelText: 'Cancel',
+        initialFocusElement: 'first',
+      }));
+    });
+
+    it('should resolve to true when it is confirmed', async () => {
+      service.close(_getDialog().id, _getDialog().confirmValue);
+
+      await expect(result).resolves.toBe(true);
+    });
+
+    it('should resolve to false when it is dismissed', async () => {
+      service.close(_getDialog().id, _getDialog().dismissValue);
+
+      await expect(result).resolves.toBe(false);
+    });
+
+    describe('When it is closed', () => {
+      let id;
+
+      beforeEach(() => {
+        id = _getDialog().id;
+        service.close(id, true);
+      });
+
+      it('should hide the dialog until it is removed', () => {
+        expect(_getDialog().show).toBe(false);
+
+        service.remove(id);
+
+        expect(service.state.dialogs).toEqual([]);
+      });
+
+      it('should only resolve once', async () => {
+        service.close(id, false);
+
+        await expect(result).resolves.toBe(true);
+      });
+    });
+
+    describe('When another dialog is opened', () => {
+      let secondResult;
+
+      beforeEach(() => {
+        secondResult = service.confirm({ title: 'Are you sure?', kind: 'danger', confirmText: 'Delete' });
+      });
+
+      it('should stack it on top', () => {
+        expect(service.state.dialogs.map(dialog => dialog.title)).toEqual(['Delete contact', 'Are you sure?']);
+        expect(_getDialog(1)).toEqual(expect.objectContaining({ kind: 'danger', confirmText: 'Delete' }));
+      });
+
+      it('should resolve each dialog separately', async () => {
+        service.close(_getDialog(1).id, false);
+        service.close(_getDialog(0).id, true);
+
+        await expect(secondResult).resolves.toBe(false);
+        await expect(result).resolves.toBe(true);
+      });
+
+      it('should keep a removed dialog from removing the open ones', () => {
+        service.remove(_getDialog(1).id);
+
+        expect(service.state.dialogs.length).toBe(2);
+      });
+    });
+  });
+
+  describe('When an alert dialog is opened', () => {
+    let result;
+
+    beforeEach(() => {
+      result = service.alert(MOCK_DIALOG);
+    });
+
+    it('should add the dialog without a cancel button', () => {
+      expect(_getDialog()).toEqual(expect.objectContaining({ confirmText: 'OK', cancelText: null }));
+    });
+
+    it('should resolve when it is closed', async () => {
+      service.close(_getDialog().id, _getDialog().dismissValue);
+
+      await expect(result).resolves.toBeUndefined();
+    });
+  });
+
+  describe('When the service is created with texts', () => {
+    beforeEach(() => {
+      service = createDialogService({ confirmText: 'Yes', cancelText: 'No' });
+      service.confirm(MOCK_DIALOG);
+    });
+
+    it('should use them by default', () => {
+      expect(_getDialog()).toEqual(expect.objectContaining({ confirmText: 'Yes', cancelText: 'No' }));
+    });
+  });
+
+  describe('When the plugin is installed', () => {
+    it('should add the service to the components', () => {
+      const localVue = createLocalVue();
+      localVue.use(DtDialogPlugin);
+
+      expect(localVue.prototype.$dtDialog.confirm).toBeInstanceOf(Function);
+    });
+  });
+});
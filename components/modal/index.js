@@ -1,2 +1,4 @@
 export { default as DtModal } from './modal.vue';
+export { default as DtDialogContainer } from './dialog_container.vue';
+export { DtDialogPlugin, createDialogService } from './dialog_service.js';
 export { MODAL_KIND_MODIFIERS, MODAL_SIZE_MODIFIERS, MODAL_BANNER_KINDS } from './modal_constants';
@@ -1,6 +1,7 @@
 import DtModal from './modal.vue';
 
 import DtModalDefaultTemplate from './modal_default.story.vue';
+import DtDialogServiceTemplate from './dialog_service.story.vue';
 import { MODAL_KIND_MODIFIERS, MODAL_SIZE_MODIFIERS } from './modal_constants';
 import { createTemplateFromVueFile } from '@/common/storybook_utils';
 import { action } from '@storybook/addon-actions';
@@ -120,6 +121,8 @@ export default {
 // Templates
 const DefaultTemplate = (args, { argTypes }) =>
   createTemplateFromVueFile(args, argTypes, DtModalDefaultTemplate);
+const DialogServiceTemplate = (args, { argTypes }) =>
+  createTemplateFromVueFile(args, argTypes, DtDialogServiceTemplate);
 
 export const Default = {
   render: DefaultTemplate,
@@ -204,3 +207,13 @@ export const WithCustomHeaderAndContent = {
 
   parameters: { ...Default.parameters },
 };
+
+export const DialogService = {
+  render: DialogServiceTemplate,
+
+  args: {
+    title: 'Delete item',
+    copy: 'The item will be deleted. This action cannot be undone.',
+    kind: 'danger',
+  },
+};
@@ -2,6 +2,7 @@ import { DtButton } from '@/components/button';
 import { DtModal, MODAL_BANNER_KINDS } from '@/components/modal';
 import { createLocalVue, shallowMount, mount } from '@vue/test-utils';
 import SrOnlyCloseButton from '@/common/sr_only_close_button.vue';
+import { resetOverlayStack } from '@/common/overlay_stack';
 
 let MOCK_CONSOLE_ERROR_SPY;
 
@@ -187,6 +188,68 @@ describe('DtModal Tests', () => {
     expect(mountWrapper.emitted()[syncEvent][2][0]).toBe(false);
   });
 
+  describe('When another overlay is opened on top of the modal', () => {
+    let mountWrapper;
+    let mountOverlay;
+    let topWrapper;
+
+    beforeEach(async () => {
+      mountWrapper = mount(DtModal, {
+        propsData: { ...baseProps, show: true },
+        stubs: baseStubs,
+        localVue: testContext.localVue,
+        attachTo: document.body,
+      });
+      mountOverlay = mountWrapper.find('[data-qa="dt-modal"]');
+      topWrapper = mount(DtModal, {
+        propsData: { ...baseProps, show: true },
+        stubs: baseStubs,
+        localVue: testContext.localVue,
+        attachTo: document.body,
+      });
+    });
+
+    afterEach(() => {
+      topWrapper.destroy();
+      mountWrapper.destroy();
+      resetOverlayStack();
+    });
+
+    it('should only be closed by the top overlay', async () => {
+      await mountOverlay.trigger('keydown', { code: 'Escape' });
+      await mountOverlay.trigger('mousedown');
+      await mountOverlay.trigger('click');
+
+      expect(mountWrapper.emitted('update:show')).toBeUndefined();
+    });
+
+    it('should not lock the body scroll by default', () => {
+      expect(document.body.classList.contains('d-of-hidden')).toBe(false);
+    });
+
+    it('should lock the body scroll until both are closed', async () => {
+      await mountWrapper.setProps({ lockScroll: true });
+      await topWrapper.setProps({ lockScroll: true });
+      await topWrapper.setProps({ show: false });
+      expect(document.body.classList.contains('d-of-hidden')).toBe(true);
+
+      await mountWrapper.setProps({ show: false });
+      expect(document.body.classList.contains('d-of-hidden')).toBe(false);
+    });
+
+    describe('When the top overlay is closed', () => {
+      beforeEach(async () => {
+        await topWrapper.setProps({ show: false });
+      });
+
+      it('should be closed with Escape again', async () => {
+        await mountOverlay.trigger('keydown', { code: 'Escape' });
+
+        expect(mountWrapper.emitted('update:show')[0][0]).toBe(false);
+      });
+    });
+  });
+
   it('Should pass content class through to root modal element', async () => {
     const modalClass = 'modal-class';
 
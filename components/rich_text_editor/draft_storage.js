@@ -0,0 +1,55 @@
+/**
+ * Drafts of DtRichTextEditor are saved into a storage adapter, which has the
+ * same `getItem`, `setItem` and `removeItem` methods as the Web Storage API.
+ * `localStorage` is used by default, and `sessionStorage` works too.
+ */
+
+const DRAFT_KEY_PREFIX = 'dt-rich-text-editor-draft:';
+
+// Accessing localStorage throws when the browser blocks it, e.g. for sandboxed
+// iframes, so it's only accessed within the try blocks below.
+function getStorage (storage) {
+  return storage ?? window.localStorage;
+}
+
+/**
+ * Create a storage adapter that keeps the drafts in memory, e.g. for tests or
+ * when the drafts shouldn't outlive the page.
+ */
+export function createMemoryDraftStorage () {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+/**
+ * Read the JSON content of a draft, or null if there isn't a valid one.
+ * Reads from localStorage when no storage is passed.
+ */
+export function readDraft (storage, draftKey) {
+  try {
+    return JSON.parse(getStorage(storage).getItem(DRAFT_KEY_PREFIX + draftKey));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Save the JSON content of a draft, or remove the draft if there's no content.
+ * Drafts are a convenience, so failing to save them, e.g. when the storage is
+ * full, doesn't break the editor. Writes to localStorage when no storage is passed.
+ */
+export function writeDraft (storage, draftKey, content) {
+  try {
+    if (content) {
+      getStorage(storage).setItem(DRAFT_KEY_PREFIX + draftKey, JSON.stringify(content));
+    } else {
+      getStorage(storage).removeItem(DRAFT_KEY_PREFIX + draftKey);
+    }
+  } catch (e) {
+    // The draft just isn't saved.
+  }
+}
@@ -0,0 +1,59 @@
+import { mergeAttributes } from '@tiptap/core';
+import Mention from '@tiptap/extension-mention';
+import { PluginKey } from '@tiptap/pm/state';
+import { VueNodeViewRenderer } from '@tiptap/vue-2';
+import { suggestionRender } from '../suggestion';
+import { dataAttribute } from '../utils';
+import ChannelComponent from './channel_component.vue';
+import ChannelSuggestion from './channel_suggestion.vue';
+
+const defaultAttributes = {
+  class: 'd-link',
+};
+
+// Channel hashtags work exactly like mentions, just with a different trigger
+// character and node, so the Mention extension is reused here.
+export const ChannelPlugin = Mention.extend({
+  name: 'channel',
+
+  addAttributes () {
+    return {
+      id: dataAttribute('id'),
+      name: dataAttribute('name'),
+      locked: {
+        default: false,
+        parseHTML: element => element.hasAttribute('data-locked'),
+        renderHTML: attributes => attributes.locked ? { 'data-locked': '' } : {},
+      },
+    };
+  },
+
+  addNodeView () {
+    return VueNodeViewRenderer(ChannelComponent);
+  },
+
+  renderHTML ({ node, HTMLAttributes }) {
+    return [
+      'span',
+      mergeAttributes(
+        { 'data-type': this.name },
+        this.options.HTMLAttributes,
+        HTMLAttributes,
+        defaultAttributes,
+      ),
+      `#${node.attrs.name}`,
+    ];
+  },
+
+  // The text output uses the id of the channel so that it stays stable even
+  // if the channel is renamed.
+  renderText ({ node }) {
+    return `#${node.attrs.id}`;
+  },
+}).configure({
+  suggestion: {
+    char: '#',
+    pluginKey: new PluginKey('channel'),
+    render: suggestionRender(ChannelSuggestion),
+  },
+});
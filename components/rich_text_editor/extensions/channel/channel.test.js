@@ -0,0 +1,131 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import { DtRichTextEditor } from '@/components/rich_text_editor';
+import { EditorContent } from '@tiptap/vue-2';
+
+// Wrappers
+let wrapper;
+let editorEl;
+
+// Test Environment
+let propsData;
+const localVue = createLocalVue();
+
+// Constants
+const channels = [
+  { id: 'c1', name: 'design', locked: false },
+  { id: 'c2', name: 'dialtone', locked: true },
+];
+const MOCK_ITEMS = vi.fn(async ({ query }) => {
+  return channels.filter(channel => channel.name.startsWith(query));
+});
+
+const baseProps = {
+  value: '',
+  inputAriaLabel: 'aria-label text',
+  inputClass: 'qa-editor',
+  channel: { items: MOCK_ITEMS },
+};
+
+// Helpers
+const _mountWrapper = () => {
+  editorEl?.remove();
+  wrapper = mount(DtRichTextEditor, {
+    propsData,
+    components: { EditorContent },
+    localVue,
+    attachTo: document.body,
+  });
+  editorEl = document.getElementsByClassName('qa-editor')[0];
+};
+
+const _insertChannel = async (attrs) => {
+  wrapper.vm.editor.commands.insertContent([
+    { type: 'text', text: 'see ' },
+    { type: 'channel', attrs },
+  ]);
+  await wrapper.vm.$nextTick();
+};
+
+describe('DtRichTextEditor Channel Extension tests', () => {
+  // Test Setup
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+    global.Selection.prototype.collapseToEnd = vi.fn();
+  });
+
+  beforeEach(async () => {
+    propsData = baseProps;
+    _mountWrapper();
+    await wrapper.vm.$nextTick();
+  });
+
+  // Test Teardown
+  afterEach(() => {
+    propsData = baseProps;
+    MOCK_ITEMS.mockClear();
+  });
+
+  describe('Output Tests', () => {
+    it('should output the channel id in text format', async () => {
+      await _insertChannel(channels[0]);
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('see #c1');
+    });
+
+    it('should output the channel node in json format', async () => {
+      await wrapper.setProps({ outputFormat: 'json' });
+      await _insertChannel(channels[1]);
+
+      expect(wrapper.emitted().input.at(-1)[0].content[0].content[1]).toEqual({
+        type: 'channel',
+        attrs: channels[1],
+      });
+    });
+
+    it('should output the channel node in html format', async () => {
+      await wrapper.setProps({ outputFormat: 'html' });
+      await _insertChannel(channels[1]);
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe(
+        '<p>see <span data-type="channel" data-id="c2" data-name="dialtone" data-locked="" class="d-link">#dialtone</span></p>',
+      );
+    });
+
+    it('should render the lock icon for locked channels', async () => {
+      await _insertChannel(channels[1]);
+
+      expect(wrapper.find('[data-qa="dt-rich-text-editor-channel"] [data-qa="dt-icon"]').exists()).toBe(true);
+    });
+  });
+
+  describe('Suggestion Tests', () => {
+    it('should query the items when typing the trigger character', async () => {
+      wrapper.vm.editor.commands.insertContent('#des');
+      await wrapper.vm.$nextTick();
+
+      expect(MOCK_ITEMS).toHaveBeenCalledWith(expect.objectContaining({ query: 'des' }));
+    });
+
+    it('should not query the items with the mention trigger character', async () => {
+      wrapper.vm.editor.commands.insertContent('@des');
+      await wrapper.vm.$nextTick();
+
+      expect(MOCK_ITEMS).not.toHaveBeenCalled();
+    });
+
+    it('should insert the selected channel', async () => {
+      wrapper.vm.editor.commands.insertContent('#dia');
+      await wrapper.vm.$nextTick();
+      await MOCK_ITEMS.mock.results[0].value;
+      await wrapper.vm.$nextTick();
+
+      const lists = document.querySelectorAll('[data-qa="dt-suggestion-list"]');
+      lists[lists.length - 1].querySelector('[role="option"]').click();
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.vm.editor.getText()).toBe('#c2 ');
+    });
+  });
+});
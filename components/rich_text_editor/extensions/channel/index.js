@@ -0,0 +1,5 @@
+import { ChannelPlugin } from './channel';
+
+export * from './channel';
+
+export default ChannelPlugin;
@@ -0,0 +1,30 @@
+import {
+  mergeAttributes,
+  textblockTypeInputRule,
+} from '@tiptap/core';
+import CodeBlockBase from '@tiptap/extension-code-block';
+
+// Three backticks at the start of a line, without requiring a following
+// whitespace or language like the original extension.
+export const backtickInputRegex = /^```$/;
+
+export const CodeBlock = CodeBlockBase.extend({
+  // Render the same markup as DtCodeblock so that the HTML output looks the
+  // same as codeblocks in the feed.
+  renderHTML ({ HTMLAttributes }) {
+    return [
+      'pre',
+      mergeAttributes(this.options.HTMLAttributes, HTMLAttributes),
+      ['code', { class: 'd-codeblock' }, 0],
+    ];
+  },
+
+  addInputRules () {
+    return [
+      textblockTypeInputRule({
+        find: backtickInputRegex,
+        type: this.type,
+      }),
+    ];
+  },
+});
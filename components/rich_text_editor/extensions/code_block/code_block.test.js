@@ -0,0 +1,114 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import { DtRichTextEditor } from '@/components/rich_text_editor';
+import { EditorContent } from '@tiptap/vue-2';
+
+// Wrappers
+let wrapper;
+let editorEl;
+
+// Test Environment
+let propsData;
+const localVue = createLocalVue();
+
+// Constants
+const baseProps = {
+  value: '',
+  inputAriaLabel: 'aria-label text',
+  inputClass: 'qa-editor',
+  codeblock: true,
+  code: true,
+};
+
+// Helpers
+const _mountWrapper = () => {
+  editorEl?.remove();
+  wrapper = mount(DtRichTextEditor, {
+    propsData,
+    components: { EditorContent },
+    localVue,
+    attachTo: document.body,
+  });
+  editorEl = document.getElementsByClassName('qa-editor')[0];
+};
+
+// Simulates typing, which unlike inserting content triggers the input rules.
+const _type = async (text) => {
+  const { view } = wrapper.vm.editor;
+  for (const char of text) {
+    const { from, to } = view.state.selection;
+    const handled = view.someProp('handleTextInput', f => f(view, from, to, char));
+    if (!handled) {
+      view.dispatch(view.state.tr.insertText(char, from, to));
+    }
+  }
+  await wrapper.vm.$nextTick();
+};
+
+describe('DtRichTextEditor Code Extensions tests', () => {
+  // Test Setup
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+  });
+
+  beforeEach(async () => {
+    propsData = baseProps;
+    _mountWrapper();
+    await wrapper.vm.$nextTick();
+  });
+
+  // Test Teardown
+  afterEach(() => {
+    propsData = baseProps;
+  });
+
+  describe('Code Block Tests', () => {
+    it('should create a code block when typing three backticks', async () => {
+      await _type('```');
+
+      expect(wrapper.vm.editor.getJSON().content[0].type).toBe('codeBlock');
+    });
+
+    it('should not create a code block in the middle of a line', async () => {
+      await _type('hey ```');
+
+      expect(wrapper.vm.editor.getJSON().content[0].type).toBe('paragraph');
+    });
+
+    it('should output DtCodeblock markup in html format', async () => {
+      await wrapper.setProps({ outputFormat: 'html' });
+      await _type('```const a = 1;');
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('<pre><code class="d-codeblock">const a = 1;</code></pre>');
+    });
+
+    it('should wrap the code block in triple-backticks in text format', async () => {
+      await wrapper.setProps({ value: '<p>before</p><pre><code>const a = 1;</code></pre><p>after</p>' });
+
+      expect(wrapper.vm.getOutput()).toBe('before\n\n```\nconst a = 1;\n```\n\nafter');
+    });
+
+    it('should not autolink URLs in code blocks', async () => {
+      await wrapper.setProps({ link: true, outputFormat: 'html' });
+      await _type('```dialpad.com');
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('<pre><code class="d-codeblock">dialpad.com</code></pre>');
+    });
+  });
+
+  describe('Inline Code Tests', () => {
+    it('should format text typed between backticks as code', async () => {
+      await wrapper.setProps({ outputFormat: 'html' });
+      await _type('run `npm test` now');
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('<p>run <code>npm test</code> now</p>');
+    });
+
+    it('should wrap inline code in backticks in text format', async () => {
+      await _type('run `npm test` now');
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('run `npm test` now');
+    });
+  });
+});
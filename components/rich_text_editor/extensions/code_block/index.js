@@ -0,0 +1,5 @@
+import { CodeBlock } from './code_block';
+
+export * from './code_block';
+
+export default CodeBlock;
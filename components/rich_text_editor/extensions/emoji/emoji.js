@@ -0,0 +1,130 @@
+import {
+  mergeAttributes,
+  Node,
+  nodeInputRule,
+  nodePasteRule,
+} from '@tiptap/core';
+import { PluginKey } from '@tiptap/pm/state';
+import Suggestion from '@tiptap/suggestion';
+import { VueNodeViewRenderer } from '@tiptap/vue-2';
+import { codeToEmojiData, stringToUnicode } from '@/common/emoji';
+import { suggestionRender } from '../suggestion';
+import { dataAttribute } from '../utils';
+import EmojiComponent from './emoji_component.vue';
+import EmojiSuggestion from './emoji_suggestion.vue';
+import {
+  findEmojiAtEnd,
+  findEmojis,
+  suggestEmojis,
+} from './utils';
+
+export const EmojiPluginKey = new PluginKey('emoji');
+
+export const Emoji = Node.create({
+  name: 'emoji',
+
+  addOptions () {
+    return {
+      HTMLAttributes: {},
+      suggestion: {
+        char: ':',
+        pluginKey: EmojiPluginKey,
+        items: suggestEmojis,
+        render: suggestionRender(EmojiSuggestion),
+        command: ({ editor, range, props }) => {
+          editor
+            .chain()
+            .focus()
+            .insertContentAt(range, {
+              type: this.name,
+              attrs: { code: props.code },
+            })
+            .run();
+        },
+        allow: ({ state, range }) => {
+          const $from = state.doc.resolve(range.from);
+          const type = state.schema.nodes[this.name];
+          return !!$from.parent.type.contentMatch.matchType(type);
+        },
+      },
+    };
+  },
+
+  group: 'inline',
+
+  inline: true,
+
+  selectable: false,
+
+  atom: true,
+
+  addAttributes () {
+    return {
+      code: dataAttribute('code'),
+    };
+  },
+
+  parseHTML () {
+    return [
+      { tag: `span[data-type="${this.name}"]` },
+    ];
+  },
+
+  renderHTML ({ node, HTMLAttributes }) {
+    const emojiData = codeToEmojiData(node.attrs.code);
+    const unicode = emojiData?.unicode_output
+      ? stringToUnicode(emojiData.unicode_output)
+      : node.attrs.code;
+
+    return [
+      'span',
+      mergeAttributes(
+        { 'data-type': this.name },
+        this.options.HTMLAttributes,
+        HTMLAttributes,
+      ),
+      unicode,
+    ];
+  },
+
+  // Keep the shortcode in the text output since that is the format the
+  // backend expects emojis in.
+  renderText ({ node }) {
+    return node.attrs.code;
+  },
+
+  addNodeView () {
+    return VueNodeViewRenderer(EmojiComponent);
+  },
+
+  // Typed shortcodes such as ":smile:" and unicode emojis from the OS emoji
+  // picker are converted into emoji nodes.
+  addInputRules () {
+    return [
+      nodeInputRule({
+        find: findEmojiAtEnd,
+        type: this.type,
+        getAttributes: match => match.data,
+      }),
+    ];
+  },
+
+  addPasteRules () {
+    return [
+      nodePasteRule({
+        find: findEmojis,
+        type: this.type,
+        getAttributes: match => match.data,
+      }),
+    ];
+  },
+
+  addProseMirrorPlugins () {
+    return [
+      Suggestion({
+        editor: this.editor,
+        ...this.options.suggestion,
+      }),
+    ];
+  },
+});
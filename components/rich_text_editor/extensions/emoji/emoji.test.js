@@ -0,0 +1,164 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import { DtRichTextEditor } from '@/components/rich_text_editor';
+import { EditorContent } from '@tiptap/vue-2';
+import { findEmojis, suggestEmojis } from './utils';
+
+// Wrappers
+let wrapper;
+let editorEl;
+
+// Test Environment
+let propsData;
+const localVue = createLocalVue();
+
+// Constants
+const baseProps = {
+  value: '',
+  inputAriaLabel: 'aria-label text',
+  inputClass: 'qa-editor',
+  emoji: true,
+};
+
+// Helpers
+const _mountWrapper = () => {
+  editorEl?.remove();
+  wrapper = mount(DtRichTextEditor, {
+    propsData,
+    components: { EditorContent },
+    localVue,
+    attachTo: document.body,
+  });
+  editorEl = document.getElementsByClassName('qa-editor')[0];
+};
+
+// Simulates typing, which unlike inserting content triggers the input rules.
+const _type = async (text) => {
+  const { view } = wrapper.vm.editor;
+  for (const char of text) {
+    const { from, to } = view.state.selection;
+    const handled = view.someProp('handleTextInput', f => f(view, from, to, char));
+    if (!handled) {
+      view.dispatch(view.state.tr.insertText(char, from, to));
+    }
+  }
+  await wrapper.vm.$nextTick();
+};
+
+const _paste = async (text) => {
+  wrapper.vm.editor.view.pasteText(text);
+  await wrapper.vm.$nextTick();
+};
+
+const _getEmojiNodes = () => {
+  return wrapper.vm.editor.getJSON().content[0].content
+    .filter(node => node.type === 'emoji');
+};
+
+describe('DtRichTextEditor Emoji Extension tests', () => {
+  // Test Setup
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+    global.ClipboardEvent = class extends Event {};
+  });
+
+  beforeEach(async () => {
+    propsData = baseProps;
+    _mountWrapper();
+    await wrapper.vm.$nextTick();
+  });
+
+  // Test Teardown
+  afterEach(() => {
+    propsData = baseProps;
+  });
+
+  describe('Input Tests', () => {
+    it('should convert a typed shortcode into an emoji node', async () => {
+      await _type('hi :smile:');
+
+      expect(_getEmojiNodes()).toEqual([{ type: 'emoji', attrs: { code: ':smile:' } }]);
+    });
+
+    it('should not convert an invalid shortcode', async () => {
+      await _type('hi :notanemoji:');
+
+      expect(_getEmojiNodes()).toEqual([]);
+    });
+
+    it('should convert a typed unicode emoji into an emoji node', async () => {
+      await _type('hi 😄');
+
+      expect(_getEmojiNodes()).toEqual([{ type: 'emoji', attrs: { code: ':smile:' } }]);
+    });
+
+    it('should convert pasted unicode emojis and shortcodes into emoji nodes', async () => {
+      await _paste('hi 😄 and :thumbsup:');
+
+      expect(_getEmojiNodes()).toEqual([
+        { type: 'emoji', attrs: { code: ':smile:' } },
+        { type: 'emoji', attrs: { code: ':thumbsup:' } },
+      ]);
+    });
+
+    it('should render the emoji with DtEmoji', async () => {
+      await _type(':smile:');
+
+      expect(wrapper.find('.dt-rich-text-editor-emoji img').attributes('alt')).toBe('😄');
+    });
+  });
+
+  describe('Output Tests', () => {
+    beforeEach(async () => {
+      await wrapper.setProps({ value: '<p>hi <span data-type="emoji" data-code=":smile:">😄</span></p>' });
+    });
+
+    it('should keep the shortcode in text output', () => {
+      expect(wrapper.vm.editor.getText()).toBe('hi :smile:');
+    });
+
+    it('should output the unicode emoji in html output', () => {
+      expect(wrapper.vm.editor.getHTML()).toBe('<p>hi <span data-type="emoji" data-code=":smile:">😄</span></p>');
+    });
+  });
+});
+
+describe('Emoji utils tests', () => {
+  describe('findEmojis', () => {
+    it('should find shortcodes and unicode emojis in order', () => {
+      expect(findEmojis(':+1: hey 😄 :nope: :smile:')).toEqual([
+        { index: 0, text: ':+1:', data: { code: ':thumbsup:' } },
+        { index: 9, text: '😄', data: { code: ':smile:' } },
+        { index: 19, text: ':smile:', data: { code: ':smile:' } },
+      ]);
+    });
+  });
+
+  describe('suggestEmojis', () => {
+    it('should not suggest anything for a single character', () => {
+      expect(suggestEmojis({ query: 's' })).toEqual([]);
+    });
+
+    it('should list the exact match first', () => {
+      expect(suggestEmojis({ query: 'smile' })[0]).toEqual({
+        id: '1f604',
+        code: ':smile:',
+        name: 'grinning face with smiling eyes',
+      });
+    });
+
+    it('should list emojis starting with the query before the other matches', () => {
+      const suggestions = suggestEmojis({ query: 'smi' });
+      const startsWithQuery = suggestions.map(({ code }) => code.startsWith(':smi'));
+
+      expect(suggestions.length).toBeGreaterThan(1);
+      expect(startsWithQuery[0]).toBe(true);
+      expect(startsWithQuery).toEqual([...startsWithQuery].sort().reverse());
+    });
+
+    it('should tolerate typos', () => {
+      expect(suggestEmojis({ query: 'thumsbup' })[0].code).toBe(':thumbsup:');
+    });
+  });
+});
@@ -0,0 +1,5 @@
+import { Emoji } from './emoji';
+
+export * from './emoji';
+
+export default Emoji;
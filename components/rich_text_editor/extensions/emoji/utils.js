@@ -0,0 +1,58 @@
+import emojiRegex from 'emoji-regex';
+import { codeToEmojiData } from '@/common/emoji';
+import { getEmojiSearchIndex } from '@/common/emoji_search';
+
+// Shortcodes can contain "+" and "-", e.g. ":+1:" and ":t-rex:".
+const shortcodeRegex = /:[\w+-]+:/g;
+
+// Max number of emojis listed in the shortcode suggestions.
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Find all valid emoji shortcodes and unicode emojis in a string. Returns the
+ * matches in the format that TipTap's paste rules expect, with the shortcode
+ * of the emoji as the data.
+ */
+export function findEmojis (text) {
+  const matches = [
+    ...text.matchAll(shortcodeRegex),
+    ...text.matchAll(emojiRegex()),
+  ];
+
+  return matches
+    .map(match => ({
+      index: match.index,
+      text: match[0],
+      data: { code: codeToEmojiData(match[0])?.shortname },
+    }))
+    .filter(match => match.data.code)
+    .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find a valid emoji shortcode or unicode emoji at the end of a string, i.e.
+ * one that was just typed.
+ */
+export function findEmojiAtEnd (text) {
+  return findEmojis(text)
+    .find(match => match.index + match.text.length === text.length);
+}
+
+/**
+ * Default items for the emoji suggestion. Lists the emojis found by the shared
+ * emoji search index, so the exact shortcode match comes first, followed by the
+ * shortcodes starting with the query and the matching names and keywords.
+ */
+export function suggestEmojis ({ query }) {
+  if (query.length < 2) {
+    return [];
+  }
+
+  return getEmojiSearchIndex()
+    .search(query, { limit: MAX_SUGGESTIONS })
+    .map(emoji => ({
+      id: emoji.key,
+      code: emoji.shortname,
+      name: emoji.name,
+    }));
+}
@@ -2,18 +2,59 @@ import {
   mergeAttributes,
   Mark,
 } from '@tiptap/core';
+import { Plugin, PluginKey } from '@tiptap/pm/state';
 import { autolink } from './autolink';
+import { isValidLink, sanitizeLinkHref } from './utils';
 
 const defaultAttributes = {
   class: 'd-link d-c-text d-d-inline-block',
   rel: 'noopener noreferrer nofollow',
 };
 
-// This is the actual extension code, which is mostly showing that all the
-// functionality comes from the ProseMirror plugin.
+// Links are either added automatically to the URLs, email addresses and phone
+// numbers in the text by the autolink plugin, or with the link editor.
 export const Link = Mark.create({
   name: 'Link',
 
+  addOptions () {
+    return {
+      HTMLAttributes: {},
+      // Whether the text typed into the link editor can be used as a link.
+      validate: isValidLink,
+      // Labels of the link editor, see RICH_TEXT_EDITOR_LINK_EDITOR_LABELS.
+      labels: {},
+      // Called to open the link editor for the selection, with Cmd/Ctrl+K or
+      // by clicking a link.
+      openEditor: () => false,
+    };
+  },
+
+  // Typing at the end of a link doesn't make the text part of the link.
+  inclusive: false,
+
+  addAttributes () {
+    return {
+      // Links added with the link editor have the href they were given.
+      // Autolinks don't have one, since their text is the link. Hrefs with
+      // a scheme that isn't allowed are dropped.
+      href: {
+        default: null,
+        parseHTML: element => sanitizeLinkHref(element.getAttribute('href')),
+        renderHTML: attributes => {
+          const href = sanitizeLinkHref(attributes.href);
+          return href ? { href } : {};
+        },
+      },
+    };
+  },
+
+  parseHTML () {
+    return [
+      // Anchors with an href that isn't allowed are parsed as plain text.
+      { tag: 'a[href]', getAttrs: element => sanitizeLinkHref(element.getAttribute('href')) !== null && null },
+    ];
+  },
+
   renderHTML ({ HTMLAttributes }) {
     return [
       'a',
@@ -30,9 +71,44 @@ export const Link = Mark.create({
     return node.attrs.text;
   },
 
+  addCommands () {
+    return {
+      setLink: attributes => ({ commands }) => {
+        return commands.setMark(this.name, attributes);
+      },
+
+      unsetLink: () => ({ chain }) => {
+        return chain()
+          .extendMarkRange(this.name)
+          .unsetMark(this.name)
+          .run();
+      },
+
+      openLinkEditor: () => () => {
+        return this.options.openEditor();
+      },
+    };
+  },
+
+  addKeyboardShortcuts () {
+    return {
+      'Mod-k': () => this.editor.commands.openLinkEditor(),
+    };
+  },
+
   addProseMirrorPlugins () {
     return [
       autolink({ type: this.type }),
+      new Plugin({
+        key: new PluginKey('linkClick'),
+
+        props: {
+          handleClick: (view, pos) => {
+            const isLink = Boolean(this.type.isInSet(view.state.doc.resolve(pos).marks()));
+            return isLink && view.editable && this.editor.commands.openLinkEditor();
+          },
+        },
+      }),
     ];
   },
 });
@@ -1,6 +1,8 @@
 import { mount, createLocalVue } from '@vue/test-utils';
 import { DtRichTextEditor } from '@/components/rich_text_editor';
 import { EditorContent } from '@tiptap/vue-2';
+import LinkEditor from './link_editor.vue';
+import { isValidLink } from './utils';
 
 // Wrappers
 let wrapper;
@@ -390,3 +392,298 @@ describe('DtRichTextEditor Link Extension tests', () => {
     });
   });
 });
+
+describe('DtRichTextEditor Link Editor tests', () => {
+  let editor;
+
+  const _mountEditor = async () => {
+    _mountWrapper();
+    await wrapper.vm.$nextTick();
+    editor = wrapper.vm.editor;
+  };
+
+  const _findLinkEditor = () => wrapper.findComponent(LinkEditor);
+
+  const _pressModK = async () => {
+    editor.view.dom.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', ctrlKey: true, bubbles: true }));
+    await wrapper.vm.$nextTick();
+  };
+
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+    global.ClipboardEvent = class extends Event {};
+  });
+
+  beforeEach(async () => {
+    propsData = {
+      ...baseProps,
+      value: '<p>Dialpad text</p>',
+      outputFormat: 'html',
+    };
+    await _mountEditor();
+  });
+
+  afterEach(() => {
+    propsData = baseProps;
+    wrapper.destroy();
+  });
+
+  describe('When Cmd/Ctrl+K is pressed with a selection', () => {
+    beforeEach(async () => {
+      editor.commands.setTextSelection({ from: 1, to: 8 });
+      await _pressModK();
+    });
+
+    it('should open the link editor for the selected text', () => {
+      expect(wrapper.vm.linkEditor.open).toBe(true);
+      expect(_findLinkEditor().props()).toMatchObject({ text: 'Dialpad', href: '', isLink: false });
+    });
+
+    describe('When a link is saved', () => {
+      beforeEach(async () => {
+        _findLinkEditor().vm.$emit('save', { text: 'Dialpad', href: 'dialpad.com' });
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should link the text', () => {
+        expect(editor.getHTML()).toMatch(/<a href="https:\/\/dialpad.com"[^>]*>Dialpad<\/a> text/);
+      });
+
+      it('should close the link editor', () => {
+        expect(wrapper.vm.linkEditor.open).toBe(false);
+      });
+
+      it('should keep the link when typing after it', async () => {
+        editor.commands.insertContentAt(9, 'more ');
+        await wrapper.vm.$nextTick();
+
+        expect(editor.getHTML()).toMatch(/<a href="https:\/\/dialpad.com"[^>]*>Dialpad<\/a> more text/);
+      });
+    });
+
+    describe('When a link is saved with a different text', () => {
+      beforeEach(async () => {
+        _findLinkEditor().vm.$emit('save', { text: 'Email us', href: 'me@example.com' });
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should replace the text', () => {
+        expect(editor.getHTML()).toMatch(/<a href="mailto:me@example.com"[^>]*>Email us<\/a> text/);
+      });
+    });
+  });
+
+  describe('When the link editor is opened on a link', () => {
+    beforeEach(async () => {
+      propsData = { ...propsData, value: '<p><a href="https://dialpad.com">Dialpad</a> text</p>' };
+      await _mountEditor();
+      editor.commands.setTextSelection(3);
+      editor.commands.openLinkEditor();
+      await wrapper.vm.$nextTick();
+    });
+
+    it('should edit the whole link', () => {
+      expect(_findLinkEditor().props()).toMatchObject({
+        text: 'Dialpad',
+        href: 'https://dialpad.com',
+        isLink: true,
+      });
+    });
+
+    describe('When the link is removed', () => {
+      beforeEach(async () => {
+        _findLinkEditor().vm.$emit('remove');
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should remove the link', () => {
+        expect(editor.getHTML()).toBe('<p>Dialpad text</p>');
+      });
+    });
+  });
+
+  describe('When the link editor is opened on an autolink', () => {
+    beforeEach(async () => {
+      propsData = { ...propsData, value: '<p>see dialpad.com</p>' };
+      await _mountEditor();
+      editor.commands.setTextSelection(8);
+      editor.commands.openLinkEditor();
+      await wrapper.vm.$nextTick();
+    });
+
+    it('should use the text as the link', () => {
+      expect(_findLinkEditor().props()).toMatchObject({
+        text: 'dialpad.com',
+        href: 'dialpad.com',
+        isLink: false,
+      });
+    });
+  });
+
+  describe('When a link is clicked', () => {
+    beforeEach(async () => {
+      propsData = { ...propsData, value: '<p><a href="https://dialpad.com">Dialpad</a> text</p>' };
+      await _mountEditor();
+      editor.view.someProp('handleClick', f => f(editor.view, 3, new MouseEvent('click')));
+      await wrapper.vm.$nextTick();
+    });
+
+    it('should open the link editor', () => {
+      expect(wrapper.vm.linkEditor.open).toBe(true);
+    });
+  });
+
+  const _saveLinkEditor = async (href) => {
+    await _findLinkEditor().findAll('input').at(1).setValue(href);
+    await _findLinkEditor().find('form').trigger('submit');
+  };
+
+  describe.each([
+    'javascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'ftp://dialpad.com',
+  ])('When a link with the href "%s" is', (href) => {
+    const html = `<p><a href="${href}">Dialpad</a> text</p>`;
+
+    it('set as the value, should drop the link', async () => {
+      propsData = { ...propsData, value: html };
+      await _mountEditor();
+
+      expect(editor.getHTML()).toBe('<p>Dialpad text</p>');
+    });
+
+    it('pasted, should drop the link', async () => {
+      propsData = { ...propsData, value: '' };
+      await _mountEditor();
+      editor.view.pasteHTML(html);
+      await wrapper.vm.$nextTick();
+
+      expect(editor.getHTML()).toBe('<p>Dialpad text</p>');
+    });
+
+    it.each([
+      ['the default', true],
+      ['a custom', { validate: () => true }],
+    ])('saved with %s validate function, should show the invalid link message', async (_, link) => {
+      propsData = { ...propsData, link };
+      await _mountEditor();
+      editor.commands.setTextSelection({ from: 1, to: 8 });
+      await _pressModK();
+      await _saveLinkEditor(href);
+
+      expect(editor.getHTML()).toBe('<p>Dialpad text</p>');
+      expect(wrapper.vm.linkEditor.open).toBe(true);
+      expect(_findLinkEditor().find('[data-qa="validation-message"]').exists()).toBe(true);
+    });
+  });
+
+  describe('When the link is configured', () => {
+    const validate = vi.fn(() => true);
+
+    beforeEach(async () => {
+      propsData = { ...propsData, link: { validate, labels: { save: 'Enregistrer' } } };
+      await _mountEditor();
+      await _pressModK();
+    });
+
+    it('should pass the configurations to the link editor', () => {
+      expect(_findLinkEditor().props('validate')('dialpad.com')).toBe(true);
+      expect(validate).toHaveBeenCalledWith('dialpad.com');
+      expect(_findLinkEditor().props('labels')).toMatchObject({ save: 'Enregistrer', cancel: 'Cancel' });
+    });
+  });
+});
+
+describe('LinkEditor tests', () => {
+  let linkEditor;
+
+  const _mountLinkEditor = (props) => {
+    linkEditor = mount(LinkEditor, {
+      propsData: { validate: isValidLink, ...props },
+      localVue,
+    });
+  };
+
+  const _setHref = async (href) => {
+    await linkEditor.findAll('input').at(1).setValue(href);
+  };
+
+  const _submit = async () => {
+    await linkEditor.find('form').trigger('submit');
+  };
+
+  beforeEach(() => {
+    _mountLinkEditor({ text: 'Dialpad' });
+  });
+
+  afterEach(() => {
+    linkEditor.destroy();
+  });
+
+  describe('When a valid link is saved', () => {
+    beforeEach(async () => {
+      await _setHref(' dialpad.com ');
+      await _submit();
+    });
+
+    it('should emit the link', () => {
+      expect(linkEditor.emitted().save[0][0]).toEqual({ text: 'Dialpad', href: 'dialpad.com' });
+    });
+  });
+
+  describe('When a link is saved without a text', () => {
+    beforeEach(async () => {
+      _mountLinkEditor();
+      await _setHref('dialpad.com');
+      await _submit();
+    });
+
+    it('should use the link as the text', () => {
+      expect(linkEditor.emitted().save[0][0]).toEqual({ text: 'dialpad.com', href: 'dialpad.com' });
+    });
+  });
+
+  describe('When an invalid link is saved', () => {
+    beforeEach(async () => {
+      await _setHref('dialpad');
+      await _submit();
+    });
+
+    it('should not emit the link', () => {
+      expect(linkEditor.emitted().save).toBeUndefined();
+    });
+
+    it('should show the error message', () => {
+      expect(linkEditor.find('[data-qa="validation-message"]').text())
+        .toBe('Enter a valid URL, email address or phone number');
+    });
+
+    describe('When the link is changed', () => {
+      beforeEach(async () => {
+        await _setHref('dialpad.co');
+      });
+
+      it('should hide the error message', () => {
+        expect(linkEditor.find('[data-qa="validation-message"]').exists()).toBe(false);
+      });
+    });
+  });
+
+  describe('When editing a link', () => {
+    beforeEach(() => {
+      _mountLinkEditor({ text: 'Dialpad', href: 'https://dialpad.com', isLink: true });
+    });
+
+    it('should show the remove button', async () => {
+      await linkEditor.find('[data-qa="dt-rich-text-editor-link-editor-remove"]').trigger('click');
+
+      expect(linkEditor.emitted().remove).toHaveLength(1);
+    });
+  });
+
+  it('should not show the remove button for new links', () => {
+    expect(linkEditor.find('[data-qa="dt-rich-text-editor-link-editor-remove"]').exists()).toBe(false);
+  });
+});
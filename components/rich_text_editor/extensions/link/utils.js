@@ -1,6 +1,9 @@
 import { getMarksBetween } from '@tiptap/core';
 import {
   getPhoneNumberRegex,
+  isEmailAddress,
+  isPhoneNumber,
+  isURL,
   linkRegex,
 } from '@/common/utils';
 
@@ -112,7 +115,45 @@ export function getWordAtUntil (text, index, direction, regex) {
 }
 
 /**
- * Remove marks from a range.
+ * Check if a string can be used as a link, i.e. it's an URL, an email address
+ * or a phone number, with a scheme that's allowed.
+ */
+export function isValidLink (text) {
+  return (isURL(text) || isEmailAddress(text) || isPhoneNumber(text)) && getLinkHref(text) !== null;
+}
+
+// Schemes a link can have. Links with any other scheme, e.g. "javascript:"
+// or "data:", could run code when they're clicked.
+const allowedLinkSchemes = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Get an href if its scheme is allowed, or null otherwise, e.g. for
+ * "javascript:alert(1)" or a relative URL.
+ */
+export function sanitizeLinkHref (href) {
+  // Browsers ignore whitespace and control characters in the scheme.
+  const scheme = /^([a-z][\w+.-]*):/i.exec(href?.replace(/[\s\p{Cc}]/gu, '') ?? '')?.[1];
+  return scheme && allowedLinkSchemes.includes(scheme.toLowerCase()) ? href.trim() : null;
+}
+
+/**
+ * Get the href of a valid link, e.g. "dialpad.com" => "https://dialpad.com"
+ * and "(778) 765-8813" => "tel:7787658813". Returns null for links with
+ * a scheme that isn't allowed.
+ */
+export function getLinkHref (link) {
+  if (isEmailAddress(link)) {
+    return `mailto:${link}`;
+  }
+  if (isPhoneNumber(link)) {
+    return `tel:${link.replace(/[^\d+]/g, '')}`;
+  }
+  return sanitizeLinkHref(/^[a-z][\w+.-]*:/i.test(link) ? link : `https://${link}`);
+}
+
+/**
+ * Remove the marks that were added automatically from a range. Links that
+ * were added with the link editor have an href and are kept.
  */
 export function removeMarks (range, doc, tr, type) {
   const from = Math.max(range.from - 1, 0);
@@ -120,7 +161,7 @@ export function removeMarks (range, doc, tr, type) {
   const marksInRange = getMarksBetween(from, to, doc);
 
   for (const mark of marksInRange) {
-    if (mark.mark.type !== type) {
+    if (mark.mark.type !== type || mark.mark.attrs.href) {
       continue;
     }
 
@@ -188,6 +229,11 @@ export function addMarks (text, pos, from, to, tr, type) {
     // Sum up the from index and the match length to get the end index.
     const to = from + word.length;
 
+    // Don't replace the links that were added with the link editor.
+    if (tr.doc.rangeHasMark(from, to, type)) {
+      return;
+    }
+
     tr.addMark(from, to, type.create());
   });
 }
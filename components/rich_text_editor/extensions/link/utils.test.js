@@ -4,6 +4,9 @@ import {
   trimEndPunctiation,
   getWordAt,
   getWordAtUntil,
+  isValidLink,
+  getLinkHref,
+  sanitizeLinkHref,
 } from './utils';
 
 describe('Links Utils Tests', () => {
@@ -225,4 +228,68 @@ describe('Links Utils Tests', () => {
       });
     });
   });
+
+  describe('isValidLink', () => {
+    it.each([
+      ['dialpad.com'],
+      ['https://dialpad.com/about'],
+      ['me@example.com'],
+      ['(778) 765-8813'],
+      ['HTTP://DIALPAD.COM'],
+    ])('should accept "%s"', (input) => {
+      expect(isValidLink(input)).toBe(true);
+    });
+
+    it.each([
+      [''],
+      ['dialpad'],
+      ['check out dialpad.com'],
+      ['ftp://dialpad.com'],
+      ['javascript://dialpad.com'],
+    ])('should not accept "%s"', (input) => {
+      expect(isValidLink(input)).toBe(false);
+    });
+  });
+
+  describe('getLinkHref', () => {
+    it.each([
+      ['dialpad.com', 'https://dialpad.com'],
+      ['http://dialpad.com', 'http://dialpad.com'],
+      ['me@example.com', 'mailto:me@example.com'],
+      ['(778) 765-8813', 'tel:7787658813'],
+      ['+17787658813', 'tel:+17787658813'],
+    ])('should get the href of "%s"', (input, expected) => {
+      expect(getLinkHref(input)).toBe(expected);
+    });
+
+    it.each([
+      'javascript:alert(1)',
+      'data:text/html,<script>alert(1)</script>',
+    ])('should not get an href for "%s"', (input) => {
+      expect(getLinkHref(input)).toBeNull();
+    });
+  });
+
+  describe('sanitizeLinkHref', () => {
+    it.each([
+      'https://dialpad.com',
+      'HTTP://dialpad.com',
+      'mailto:me@example.com',
+      'tel:+17787658813',
+    ])('should keep "%s"', (href) => {
+      expect(sanitizeLinkHref(href)).toBe(href);
+    });
+
+    it.each([
+      'javascript:alert(1)',
+      ' JavaScript:alert(1)',
+      'java\tscript:alert(1)',
+      'data:text/html,<script>alert(1)</script>',
+      'ftp://dialpad.com',
+      '/relative/path',
+      null,
+    ])('should drop "%s"', (href) => {
+      expect(sanitizeLinkHref(href)).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,5 @@
+import { MentionPlugin } from './mention';
+
+export * from './mention';
+
+export default MentionPlugin;
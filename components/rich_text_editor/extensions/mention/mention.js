@@ -0,0 +1,48 @@
+import { mergeAttributes } from '@tiptap/core';
+import Mention from '@tiptap/extension-mention';
+import { VueNodeViewRenderer } from '@tiptap/vue-2';
+import { suggestionRender } from '../suggestion';
+import { dataAttribute } from '../utils';
+import MentionComponent from './mention_component.vue';
+import MentionSuggestion from './mention_suggestion.vue';
+
+const defaultAttributes = {
+  class: 'd-link',
+};
+
+export const MentionPlugin = Mention.extend({
+  addAttributes () {
+    return {
+      id: dataAttribute('id'),
+      name: dataAttribute('name'),
+      avatarSrc: dataAttribute('avatarSrc', 'avatar-src'),
+    };
+  },
+
+  addNodeView () {
+    return VueNodeViewRenderer(MentionComponent);
+  },
+
+  renderHTML ({ node, HTMLAttributes }) {
+    return [
+      'span',
+      mergeAttributes(
+        { 'data-type': this.name },
+        this.options.HTMLAttributes,
+        HTMLAttributes,
+        defaultAttributes,
+      ),
+      `@${node.attrs.name}`,
+    ];
+  },
+
+  // The text output uses the id of the user so that it can be resolved back
+  // into a user regardless of their display name.
+  renderText ({ node }) {
+    return `@${node.attrs.id}`;
+  },
+}).configure({
+  suggestion: {
+    render: suggestionRender(MentionSuggestion),
+  },
+});
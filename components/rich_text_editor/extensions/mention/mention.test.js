@@ -0,0 +1,250 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import { DtRichTextEditor } from '@/components/rich_text_editor';
+import { EditorContent } from '@tiptap/vue-2';
+import { flushPromises } from '@/common/utils';
+import SuggestionList from '../suggestion/suggestion_list.vue';
+import MentionSuggestion from './mention_suggestion.vue';
+
+// Wrappers
+let wrapper;
+let editorEl;
+
+// Test Environment
+let propsData;
+const localVue = createLocalVue();
+
+// Constants
+const users = [
+  { id: '1', name: 'Jane Doe', avatarSrc: 'jane.png' },
+  { id: '2', name: 'John Smith' },
+  { id: '3', name: 'Joe Bloggs' },
+];
+const MOCK_ITEMS = vi.fn(({ query }) => {
+  return users.filter(user => user.name.toLowerCase().startsWith(query.toLowerCase()));
+});
+const MOCK_COMMAND = vi.fn();
+
+const baseProps = {
+  value: '',
+  inputAriaLabel: 'aria-label text',
+  inputClass: 'qa-editor',
+  mention: { items: MOCK_ITEMS },
+};
+
+// Helpers
+const _mountWrapper = () => {
+  editorEl?.remove();
+  wrapper = mount(DtRichTextEditor, {
+    propsData,
+    components: { EditorContent },
+    localVue,
+    attachTo: document.body,
+  });
+  editorEl = document.getElementsByClassName('qa-editor')[0];
+};
+
+const _insertMention = async (attrs) => {
+  wrapper.vm.editor.commands.insertContent([
+    { type: 'text', text: 'hi ' },
+    { type: 'mention', attrs },
+  ]);
+  await wrapper.vm.$nextTick();
+};
+
+describe('DtRichTextEditor Mention Extension tests', () => {
+  // Test Setup
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+    global.Selection.prototype.collapseToEnd = vi.fn();
+  });
+
+  beforeEach(async () => {
+    propsData = baseProps;
+    _mountWrapper();
+    await wrapper.vm.$nextTick();
+  });
+
+  // Test Teardown
+  afterEach(() => {
+    propsData = baseProps;
+    MOCK_ITEMS.mockClear();
+  });
+
+  describe('Output Tests', () => {
+    it('should output the user id in text format', async () => {
+      await _insertMention(users[0]);
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe('hi @1');
+    });
+
+    it('should output the mention node in json format', async () => {
+      await wrapper.setProps({ outputFormat: 'json' });
+      await _insertMention(users[0]);
+
+      expect(wrapper.emitted().input.at(-1)[0].content[0].content[1]).toEqual({
+        type: 'mention',
+        attrs: users[0],
+      });
+    });
+
+    it('should output the mention node in html format', async () => {
+      await wrapper.setProps({ outputFormat: 'html' });
+      await _insertMention(users[1]);
+
+      expect(wrapper.emitted().input.at(-1)[0]).toBe(
+        '<p>hi <span data-type="mention" data-id="2" data-name="John Smith" class="d-link">@John Smith</span></p>',
+      );
+    });
+
+    it('should parse a mention from html value', async () => {
+      await wrapper.setProps({
+        outputFormat: 'text',
+        value: '<p><span data-type="mention" data-id="3" data-name="Joe Bloggs">@Joe Bloggs</span></p>',
+      });
+
+      expect(wrapper.vm.editor.getText()).toBe('@3');
+    });
+  });
+
+  describe('Suggestion Tests', () => {
+    it('should query the items when typing the trigger character', async () => {
+      wrapper.vm.editor.commands.insertContent('@jo');
+      await wrapper.vm.$nextTick();
+
+      expect(MOCK_ITEMS).toHaveBeenCalledWith(expect.objectContaining({ query: 'jo' }));
+    });
+
+    it('should select a suggestion on enter when line breaks are not allowed', async () => {
+      await wrapper.setProps({ allowLineBreaks: false });
+      wrapper.vm.editor.commands.insertContent('@jo');
+      // Wait for the list to open, then for it to highlight the first item.
+      await flushPromises();
+      await flushPromises();
+
+      wrapper.vm.editor.view.dom.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.emitted().enter).toBeUndefined();
+      expect(wrapper.vm.editor.getText()).toBe('@2 ');
+    });
+
+    it('should not select a suggestion on enter after escape', async () => {
+      await wrapper.setProps({ allowLineBreaks: false });
+      wrapper.vm.editor.commands.insertContent('@jo');
+      // Wait for the list to open, then for it to highlight the first item.
+      await flushPromises();
+      await flushPromises();
+
+      wrapper.vm.editor.view.dom.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+      wrapper.vm.editor.view.dom.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      await wrapper.vm.$nextTick();
+
+      expect(wrapper.emitted().enter).toBeTruthy();
+      expect(wrapper.vm.editor.getText()).toBe('@jo');
+    });
+
+    it('should not query the items without the trigger character', async () => {
+      wrapper.vm.editor.commands.insertContent('jo');
+      await wrapper.vm.$nextTick();
+
+      expect(MOCK_ITEMS).not.toHaveBeenCalled();
+    });
+
+    describe('When the parent passes a new mention object', () => {
+      const newItems = vi.fn(() => []);
+      let editor;
+
+      beforeEach(async () => {
+        editor = wrapper.vm.editor;
+        await wrapper.setProps({ mention: { items: newItems } });
+      });
+
+      it('should keep the editor', () => {
+        expect(wrapper.vm.editor).toBe(editor);
+      });
+
+      it('should query the new items', async () => {
+        wrapper.vm.editor.commands.insertContent('@jo');
+        await wrapper.vm.$nextTick();
+
+        expect(newItems).toHaveBeenCalledWith(expect.objectContaining({ query: 'jo' }));
+        expect(MOCK_ITEMS).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('When an extension is enabled', () => {
+      it('should recreate the editor', async () => {
+        const editor = wrapper.vm.editor;
+        await wrapper.setProps({ channel: { items: MOCK_ITEMS } });
+
+        expect(wrapper.vm.editor).not.toBe(editor);
+      });
+    });
+  });
+});
+
+describe('SuggestionList tests', () => {
+  let listWrapper;
+
+  const _keyDown = (key) => listWrapper.vm.onKeyDown({ event: new KeyboardEvent('keydown', { key }) });
+
+  beforeEach(async () => {
+    listWrapper = mount(SuggestionList, {
+      propsData: {
+        items: users,
+        command: MOCK_COMMAND,
+        itemComponent: MentionSuggestion,
+      },
+      localVue,
+    });
+    await listWrapper.vm.$nextTick();
+  });
+
+  afterEach(() => {
+    MOCK_COMMAND.mockClear();
+    listWrapper.destroy();
+  });
+
+  it('should render an option for each item', () => {
+    expect(listWrapper.findAll('[role="option"]').length).toBe(3);
+  });
+
+  it('should highlight the first item by default', () => {
+    expect(listWrapper.vm.highlightIndex).toBe(0);
+  });
+
+  it('should move the highlight with arrow keys', () => {
+    expect(_keyDown('ArrowDown')).toBe(true);
+    expect(listWrapper.vm.highlightIndex).toBe(1);
+
+    _keyDown('ArrowUp');
+    _keyDown('ArrowUp');
+    expect(listWrapper.vm.highlightIndex).toBe(2);
+  });
+
+  it('should select the highlighted item on enter', () => {
+    _keyDown('ArrowDown');
+
+    expect(_keyDown('Enter')).toBe(true);
+    expect(MOCK_COMMAND).toHaveBeenCalledWith(users[1]);
+  });
+
+  it('should select the item on click', async () => {
+    await listWrapper.findAll('[role="option"]').at(2).trigger('click');
+
+    expect(MOCK_COMMAND).toHaveBeenCalledWith(users[2]);
+  });
+
+  it('should not handle other keys', () => {
+    expect(_keyDown('a')).toBe(false);
+  });
+
+  it('should reference the highlighted item with aria-activedescendant', () => {
+    const list = listWrapper.find('[role="listbox"]');
+    const option = listWrapper.findAll('[role="option"]').at(0);
+
+    expect(list.attributes('aria-activedescendant')).toBe(option.attributes('id'));
+  });
+});
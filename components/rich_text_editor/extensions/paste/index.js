@@ -0,0 +1,5 @@
+import { Paste } from './paste';
+
+export * from './paste';
+
+export default Paste;
@@ -0,0 +1,48 @@
+import { Extension } from '@tiptap/core';
+import {
+  Plugin,
+  PluginKey,
+} from '@tiptap/pm/state';
+import {
+  sanitizeHTML,
+  sanitizeSlice,
+} from './utils';
+
+export const PastePluginKey = new PluginKey('paste');
+
+/**
+ * Runs pasted content through the same rules as typed content: pasted HTML is
+ * cleaned up, anything the editor doesn't allow is converted into text and
+ * links are marked with the same regex as the Link extension.
+ */
+export const Paste = Extension.create({
+  name: 'paste',
+
+  addOptions () {
+    return {
+      // Names of the nodes and marks that can be pasted, or null to allow
+      // everything in the schema. Plain paragraphs and text are always allowed.
+      allowedNodes: null,
+      allowedMarks: null,
+      // Called with the ClipboardEvent before the content is pasted. Returning
+      // true stops the editor from pasting it, e.g. to upload pasted files.
+      onPaste: () => false,
+    };
+  },
+
+  addProseMirrorPlugins () {
+    return [
+      new Plugin({
+        key: PastePluginKey,
+
+        props: {
+          transformPastedHTML: sanitizeHTML,
+
+          transformPasted: slice => sanitizeSlice(slice, this.options),
+
+          handlePaste: (view, event) => this.options.onPaste(event),
+        },
+      }),
+    ];
+  },
+});
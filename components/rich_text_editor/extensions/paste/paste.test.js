@@ -0,0 +1,200 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import { DtRichTextEditor } from '@/components/rich_text_editor';
+import { EditorContent } from '@tiptap/vue-2';
+import { sanitizeHTML } from './utils';
+
+// Wrappers
+let wrapper;
+
+// Test Environment
+let propsData;
+const localVue = createLocalVue();
+
+// Constants
+const baseProps = {
+  value: '',
+  inputAriaLabel: 'aria-label text',
+  outputFormat: 'html',
+};
+
+// Helpers
+const _mountWrapper = async () => {
+  wrapper = mount(DtRichTextEditor, {
+    propsData,
+    components: { EditorContent },
+    localVue,
+    attachTo: document.body,
+  });
+  await wrapper.vm.$nextTick();
+};
+
+const _pasteHTML = async (html, event) => {
+  wrapper.vm.editor.view.pasteHTML(html, event);
+  await wrapper.vm.$nextTick();
+};
+
+const _pasteText = async (text) => {
+  wrapper.vm.editor.view.pasteText(text);
+  await wrapper.vm.$nextTick();
+};
+
+const _createPasteEvent = (files) => {
+  const event = new Event('paste', { cancelable: true });
+  event.clipboardData = { files };
+  return event;
+};
+
+describe('Paste Extension', () => {
+  beforeAll(() => {
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+    global.ClipboardEvent = class extends Event {};
+  });
+
+  beforeEach(async () => {
+    propsData = baseProps;
+    await _mountWrapper();
+  });
+
+  afterEach(() => {
+    wrapper.destroy();
+  });
+
+  describe('When HTML is pasted', () => {
+    it('should keep the formatting of the enabled extensions', async () => {
+      propsData = { ...baseProps, bold: true };
+      await _mountWrapper();
+      await _pasteHTML('<p>some <strong>bold</strong> text</p>');
+
+      expect(wrapper.vm.editor.getHTML()).toBe('<p>some <strong>bold</strong> text</p>');
+    });
+
+    it('should paste the formatting of disabled extensions as plain text', async () => {
+      await _pasteHTML('<h1>Title</h1><ul><li>item</li></ul><p><em>text</em></p>');
+
+      expect(wrapper.vm.editor.getHTML()).toBe('<p>Title</p><p>item</p><p>text</p>');
+    });
+
+    it('should not paste scripts, styles or comments', async () => {
+      await _pasteHTML('<style>p { color: red; }</style><!-- comment --><p>text<script>alert(1)</script></p>');
+
+      expect(wrapper.vm.editor.getText()).toBe('text');
+    });
+
+    describe('When the allowed marks are limited', () => {
+      beforeEach(async () => {
+        propsData = { ...baseProps, bold: true, italic: true, paste: { allowedMarks: ['bold'] } };
+        await _mountWrapper();
+        await _pasteHTML('<p><strong>bold</strong> <em>italic</em></p>');
+      });
+
+      it('should only keep the allowed marks', () => {
+        expect(wrapper.vm.editor.getHTML()).toBe('<p><strong>bold</strong> italic</p>');
+      });
+    });
+
+    describe('When the allowed nodes are limited', () => {
+      beforeEach(async () => {
+        propsData = {
+          ...baseProps,
+          blockquote: true,
+          codeblock: true,
+          emoji: true,
+          paste: { allowedNodes: ['blockquote'] },
+        };
+        await _mountWrapper();
+      });
+
+      it('should keep the allowed nodes', async () => {
+        await _pasteHTML('<blockquote><p>quote</p></blockquote>');
+
+        expect(wrapper.vm.editor.getHTML()).toBe('<blockquote><p>quote</p></blockquote>');
+      });
+
+      it('should paste blocks of text as paragraphs', async () => {
+        await _pasteHTML('<pre><code>code</code></pre>');
+
+        expect(wrapper.vm.editor.getHTML()).toBe('<p>code</p>');
+      });
+
+      it('should paste inline nodes as their text', async () => {
+        await _pasteHTML('<p>hi <span data-type="emoji" data-code=":smile:"></span></p>');
+
+        expect(wrapper.vm.editor.getText()).toBe('hi :smile:');
+      });
+    });
+  });
+
+  describe('When links are pasted', () => {
+    const _getLinks = () => [...wrapper.vm.editor.view.dom.querySelectorAll('a')]
+      .map(link => link.textContent);
+
+    beforeEach(async () => {
+      propsData = { ...baseProps, link: true };
+      await _mountWrapper();
+    });
+
+    it('should link URLs, email addresses and phone numbers', async () => {
+      await _pasteText('see dialpad.com, email me@example.com or call +17787658813.');
+
+      expect(_getLinks()).toEqual(['dialpad.com', 'me@example.com', '+17787658813']);
+    });
+
+    it('should link URLs in pasted HTML', async () => {
+      await _pasteHTML('<p>visit <b>https://dialpad.com</b>!</p>');
+
+      expect(_getLinks()).toEqual(['https://dialpad.com']);
+    });
+
+    it('should not link mentions', async () => {
+      await _pasteText('@dialpad.com');
+
+      expect(_getLinks()).toEqual([]);
+    });
+  });
+
+  describe('When files are pasted', () => {
+    const files = [new File([''], 'image.png', { type: 'image/png' })];
+
+    it('should emit the paste event', async () => {
+      const event = _createPasteEvent(files);
+      await _pasteHTML('', event);
+
+      expect(wrapper.emitted().paste[0][0]).toBe(event);
+      expect(wrapper.emitted().paste[0][0].clipboardData.files).toBe(files);
+    });
+
+    describe('When the event is prevented', () => {
+      beforeEach(async () => {
+        wrapper.vm.$on('paste', event => event.preventDefault());
+        await _pasteHTML('<p>image.png</p>', _createPasteEvent(files));
+      });
+
+      it('should not paste the content', () => {
+        expect(wrapper.vm.editor.getText()).toBe('');
+      });
+    });
+
+    describe('When the event is not prevented', () => {
+      beforeEach(async () => {
+        await _pasteHTML('<p>image.png</p>', _createPasteEvent(files));
+      });
+
+      it('should paste the content', () => {
+        expect(wrapper.vm.editor.getText()).toBe('image.png');
+      });
+    });
+  });
+});
+
+describe('sanitizeHTML', () => {
+  it('should remove media and comments', () => {
+    expect(sanitizeHTML('<p>a<img src="x.png"><!-- b --><iframe></iframe></p>')).toBe('<p>a</p>');
+  });
+
+  it('should keep the content', () => {
+    expect(sanitizeHTML('<div><p><a href="https://dialpad.com">link</a></p></div>'))
+      .toBe('<div><p><a href="https://dialpad.com">link</a></p></div>');
+  });
+});
@@ -0,0 +1,164 @@
+import {
+  Fragment,
+  Slice,
+} from '@tiptap/pm/model';
+import { linkRegex } from '@/common/utils';
+import {
+  getRegexMatches,
+  hasValidPrefix,
+  trimEndPunctiation,
+} from '../link/utils';
+
+// Nodes that plain text needs, so they can't be disallowed.
+const requiredNodes = ['doc', 'paragraph', 'text', 'hardBreak'];
+
+// Elements that are never content, e.g. the styles and scripts that come along
+// when copying from other apps, or media the editor can't show.
+const removedElements = [
+  'script',
+  'style',
+  'meta',
+  'link',
+  'title',
+  'template',
+  'iframe',
+  'object',
+  'embed',
+  'svg',
+  'canvas',
+  'img',
+  'video',
+  'audio',
+  'noscript',
+].join(',');
+
+function isAllowed (name, allowed) {
+  return !allowed || allowed.includes(name);
+}
+
+/**
+ * Remove the elements and comments that shouldn't be parsed from pasted HTML.
+ */
+export function sanitizeHTML (html) {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  body.querySelectorAll(removedElements).forEach(element => element.remove());
+
+  const comments = document.createTreeWalker(body, NodeFilter.SHOW_COMMENT);
+  const removedComments = [];
+  while (comments.nextNode()) {
+    removedComments.push(comments.currentNode);
+  }
+  removedComments.forEach(comment => comment.remove());
+
+  return body.innerHTML;
+}
+
+// Same node with the given content, or only the content if the node isn't
+// valid with it anymore.
+function copyNode (node, content, { allowedMarks }) {
+  const marks = node.marks.filter(mark => isAllowed(mark.type.name, allowedMarks));
+  if (!node.type.validContent(content)) {
+    return content.content;
+  }
+  return [node.copy(content).mark(marks)];
+}
+
+// Disallowed nodes are replaced by what's closest to them in plain text:
+// inline nodes by their text, blocks of text by paragraphs and anything else
+// by its content.
+function convertNode (node, content) {
+  const { schema } = node.type;
+  if (node.isLeaf) {
+    const text = node.type.spec.toText?.({ node }) ?? node.textContent;
+    return text ? [schema.text(text)] : [];
+  }
+  if (node.isTextblock) {
+    return [schema.nodes.paragraph.create(null, content)];
+  }
+  return content.content;
+}
+
+/**
+ * Remove the nodes and marks that aren't allowed from a fragment.
+ */
+export function sanitizeFragment (fragment, options) {
+  const nodes = [];
+  fragment.forEach(node => {
+    const content = sanitizeFragment(node.content, options);
+    const isAllowedNode = requiredNodes.includes(node.type.name) ||
+      isAllowed(node.type.name, options.allowedNodes);
+    nodes.push(...(isAllowedNode ? copyNode(node, content, options) : convertNode(node, content)));
+  });
+  return Fragment.fromArray(nodes);
+}
+
+// Split the text nodes of a textblock at the given ranges and add the mark to
+// the parts within them.
+function markRanges (node, ranges, type) {
+  const nodes = [];
+  node.forEach((child, offset) => {
+    const end = offset + child.nodeSize;
+    const canMark = child.isText && !type.isInSet(child.marks) &&
+      !child.marks.some(mark => mark.type.spec.code);
+    if (!canMark) {
+      nodes.push(child);
+      return;
+    }
+    const boundaries = ranges
+      .flatMap(({ from, to }) => [from, to])
+      .filter(index => index > offset && index < end);
+    [offset, ...boundaries, end].reduce((from, to) => {
+      const part = child.cut(from - offset, to - offset);
+      const isLink = ranges.some(range => range.from <= from && range.to >= to);
+      nodes.push(isLink ? part.mark(type.create().addToSet(part.marks)) : part);
+      return to;
+    });
+  });
+  return node.copy(Fragment.fromArray(nodes));
+}
+
+/**
+ * Add the given link mark to all URLs, email addresses and phone numbers in a
+ * fragment, the same way the Link extension finds them in typed text.
+ */
+export function markLinks (fragment, type) {
+  const nodes = [];
+  fragment.forEach(node => {
+    if (node.isLeaf || node.type.spec.code) {
+      nodes.push(node);
+      return;
+    }
+    if (!node.isTextblock) {
+      nodes.push(node.copy(markLinks(node.content, type)));
+      return;
+    }
+    // Leaf nodes are read as line breaks so that a link doesn't continue over
+    // them, and so that the indices match the positions in the node.
+    const text = node.textBetween(0, node.content.size, undefined, '\n');
+    const ranges = getRegexMatches(text, linkRegex, hasValidPrefix)
+      .map(match => ({ from: match.index, to: match.index + trimEndPunctiation(match[0]).length }));
+    nodes.push(ranges.length ? markRanges(node, ranges, type) : node);
+  });
+  return Fragment.fromArray(nodes);
+}
+
+/**
+ * Sanitize a pasted slice against the options of the Paste extension.
+ */
+export function sanitizeSlice (slice, options) {
+  const fragment = sanitizeFragment(slice.content, options);
+  const linkType = fragment.firstChild?.type.schema.marks.Link;
+  const content = linkType && isAllowed(linkType.name, options.allowedMarks)
+    ? markLinks(fragment, linkType)
+    : fragment;
+  if (content.eq(slice.content)) {
+    return slice;
+  }
+  // The new structure might not be as deep as the open sides of the slice.
+  const maxOpen = Slice.maxOpen(content);
+  return new Slice(
+    content,
+    Math.min(slice.openStart, maxOpen.openStart),
+    Math.min(slice.openEnd, maxOpen.openEnd),
+  );
+}
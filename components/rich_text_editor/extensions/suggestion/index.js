@@ -0,0 +1,2 @@
+export { suggestionRender } from './suggestion';
+export { default as SuggestionList } from './suggestion_list.vue';
@@ -0,0 +1,83 @@
+import { VueRenderer } from '@tiptap/vue-2';
+import { createTippy } from '@/components/popover/tippy_utils';
+import { EVENT_KEYNAMES } from '@/common/constants';
+import SuggestionList from './suggestion_list.vue';
+
+/**
+ * Returns the `render` option for a TipTap suggestion plugin. The suggestions
+ * are shown in a SuggestionList next to the cursor and each item is rendered
+ * with the given component.
+ */
+export function suggestionRender (itemComponent) {
+  return () => {
+    let component;
+    let popup;
+    // Whether the suggestion was dismissed with Escape. The keys are then
+    // handled by the editor until the suggestion is exited.
+    let dismissed = false;
+
+    const updateProps = (props) => {
+      component?.updateProps({ ...props, itemComponent });
+
+      if (!props.clientRect) {
+        return;
+      }
+
+      popup?.setProps({
+        getReferenceClientRect: props.clientRect,
+      });
+    };
+
+    return {
+      // The items can be fetched asynchronously, so the popup is created
+      // before they're loaded. Otherwise exiting the suggestion while the
+      // items are loading would leave a popup behind.
+      onBeforeStart: props => {
+        dismissed = false;
+        component = new VueRenderer(SuggestionList, {
+          propsData: { ...props, itemComponent },
+        });
+
+        if (!props.clientRect) {
+          return;
+        }
+
+        popup = createTippy(document.body, {
+          contentElement: component.element,
+          getReferenceClientRect: props.clientRect,
+          appendTo: () => document.body,
+          showOnCreate: true,
+          interactive: true,
+          trigger: 'manual',
+          placement: 'top-start',
+          zIndex: 650,
+        });
+      },
+
+      onStart: updateProps,
+
+      onUpdate: updateProps,
+
+      onKeyDown (props) {
+        if (dismissed) {
+          return false;
+        }
+
+        if (props.event.key === EVENT_KEYNAMES.escape) {
+          dismissed = true;
+          popup?.hide();
+          return true;
+        }
+
+        return component?.ref.onKeyDown(props);
+      },
+
+      onExit () {
+        popup?.destroy();
+        component?.destroy();
+        popup = null;
+        component = null;
+      },
+    };
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Node attribute that is rendered into a `data-*` attribute in the HTML output
+ * and parsed back from it, so that the node survives an HTML round-trip.
+ */
+export function dataAttribute (name, htmlName = name) {
+  return {
+    default: null,
+    parseHTML: element => element.getAttribute(`data-${htmlName}`),
+    renderHTML: attributes => {
+      if (!attributes[name]) {
+        return {};
+      }
+      return { [`data-${htmlName}`]: attributes[name] };
+    },
+  };
+}
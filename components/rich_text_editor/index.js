@@ -1,6 +1,10 @@
 export { default as DtRichTextEditor } from './rich_text_editor.vue';
+export { default as DtRichTextEditorToolbar } from './rich_text_editor_toolbar.vue';
+export { createMemoryDraftStorage } from './draft_storage';
 
 export {
   RICH_TEXT_EDITOR_AUTOFOCUS_TYPES,
+  RICH_TEXT_EDITOR_LINK_EDITOR_LABELS,
   RICH_TEXT_EDITOR_OUTPUT_FORMATS,
+  RICH_TEXT_EDITOR_TOOLBAR_ACTIONS,
 } from './rich_text_editor_constants';
@@ -0,0 +1,267 @@
+import markdownit from 'markdown-it';
+import {
+  defaultMarkdownSerializer,
+  MarkdownParser,
+  MarkdownSerializer,
+} from '@tiptap/pm/markdown';
+import { shortcodeToEmojiData } from '@/common/emoji';
+
+/**
+ * Markdown support for the editor. Only the syntax that maps into the nodes
+ * and marks of the editor is supported, so that everything that is serialized
+ * into Markdown can be parsed back into the same content. Everything else,
+ * such as headings or underlines, is kept as plain text.
+ */
+
+// Shortcodes can contain "+" and "-", e.g. ":+1:" and ":t-rex:".
+const shortcodeRegex = /^:[\w+-]+:/;
+
+// Which of the optional Markdown syntax the schema supports. Emphasis and
+// lists each need all of their types, otherwise the tokens of the missing ones
+// couldn't be parsed.
+function getSyntax (schema) {
+  const { marks, nodes } = schema;
+  return {
+    emphasis: Boolean(marks.bold && marks.italic),
+    strikethrough: Boolean(marks.strike),
+    list: Boolean(nodes.bulletList && nodes.orderedList),
+    blockquote: Boolean(nodes.blockquote),
+    link: Boolean(marks.Link),
+  };
+}
+
+// Escape only the characters that have a meaning in the supported syntax, so
+// that the output stays as close to the typed text as possible. Shortcodes in
+// plain text are escaped so they're not parsed into emojis, and so are the
+// ampersands of what would be parsed as an HTML entity.
+function escape (text, syntax, startOfLine) {
+  const escapedCharacters = [
+    [syntax.emphasis, /[*_]/g],
+    [syntax.strikethrough, /~/g],
+    [startOfLine && syntax.list, /^[-+*]|(?<=^\d+)[.)]/],
+    [startOfLine && syntax.blockquote, /^>/],
+    [syntax.link, /[[\]]/g],
+  ];
+  return escapedCharacters
+    .filter(([isEscaped]) => isEscaped)
+    .reduce(
+      (escaped, [, regex]) => escaped.replace(regex, '\\$&'),
+      text
+        .replace(/[\\`]/g, '\\$&')
+        .replace(/&(?=#\w+;|[a-z][a-z\d]*;)/gi, '\\$&')
+        .replace(/:[\w+-]+:/g, match => shortcodeToEmojiData(match) ? `\\${match}` : match),
+    );
+}
+
+// Markdown ignores the whitespace at the start and end of a line, so the
+// first and last whitespace characters of a line are written as HTML entities.
+function keepWhitespace (text, startOfLine, endOfLine) {
+  const toEntity = match => `&#${match.charCodeAt(0)};`;
+  const kept = startOfLine ? text.replace(/^[ \t]/, toEntity) : text;
+  return endOfLine ? kept.replace(/[ \t]$/, toEntity) : kept;
+}
+
+// Whether a node is the last one of its line, i.e. the line ends after it.
+function isEndOfLine (parent, index) {
+  return index === parent.childCount - 1 || parent.child(index + 1).type.name === 'hardBreak';
+}
+
+// Same as the given mark serializer when the syntax is supported, otherwise
+// the marked text is kept as plain text.
+function markSerializer (isSupported, { open, close, ...spec }) {
+  const delimiter = value => (state, mark) => isSupported(getSyntax(mark.type.schema)) ? value : '';
+  return { ...spec, open: delimiter(open), close: delimiter(close) };
+}
+
+// How each node is serialized into Markdown, keyed by the node name.
+const nodeSerializers = {
+  // Empty lines would end the paragraph, so an empty paragraph, or an empty
+  // line of a paragraph, is written as a lone backslash instead.
+  paragraph (state, node) {
+    if (node.childCount) {
+      state.renderInline(node);
+    } else {
+      state.write('\\');
+    }
+    state.closeBlock(node);
+  },
+
+  // Autolinks are written as they were typed, escaping them would change the
+  // URLs, email addresses and phone numbers.
+  text (state, node, parent, index) {
+    const startOfLine = state.atBlank() || Boolean(state.closed);
+    const isAutolink = node.marks.some(mark => mark.type.name === 'Link' && !mark.attrs.href);
+    const text = isAutolink ? node.text : escape(node.text, getSyntax(node.type.schema), startOfLine);
+    state.text(keepWhitespace(text, startOfLine, isEndOfLine(parent, index)), false);
+  },
+
+  hardBreak (state, node, parent, index) {
+    if (index === 0 || parent.child(index - 1).type === node.type) {
+      state.write('\\');
+    }
+    state.write('\n');
+    if (index === parent.childCount - 1) {
+      state.write('\\');
+    }
+  },
+
+  codeBlock (state, node) {
+    state.write('```\n');
+    state.text(node.textContent, false);
+    state.ensureNewLine();
+    state.write('```');
+    state.closeBlock(node);
+  },
+
+  blockquote: defaultMarkdownSerializer.nodes.blockquote,
+
+  bulletList (state, node) {
+    state.renderList(node, '  ', () => '- ');
+  },
+
+  orderedList (state, node) {
+    const start = node.attrs.start ?? 1;
+    // Nested content is indented to line up with the widest number.
+    const indent = state.repeat(' ', String(start + node.childCount - 1).length + 2);
+    state.renderList(node, indent, index => `${start + index}. `);
+  },
+
+  listItem: defaultMarkdownSerializer.nodes.list_item,
+
+  emoji (state, node) {
+    state.write(node.attrs.code);
+  },
+
+  // Mentions and channels are serialized the same way as in the text output.
+  // They aren't parsed back since the ids alone don't have enough information
+  // to recreate the nodes.
+  mention (state, node) {
+    state.write(`@${node.attrs.id}`);
+  },
+
+  channel (state, node) {
+    state.write(`#${node.attrs.id}`);
+  },
+};
+
+// How each mark is serialized into Markdown, keyed by the mark name.
+const markSerializers = {
+  code: defaultMarkdownSerializer.marks.code,
+
+  bold: markSerializer(syntax => syntax.emphasis, defaultMarkdownSerializer.marks.strong),
+
+  italic: markSerializer(syntax => syntax.emphasis, defaultMarkdownSerializer.marks.em),
+
+  strike: markSerializer(syntax => syntax.strikethrough, {
+    open: '~~',
+    close: '~~',
+    mixable: true,
+    expelEnclosingWhitespace: true,
+  }),
+
+  // Markdown has no syntax for underlines.
+  underline: { open: '', close: '' },
+
+  // Autolinks are kept as the plain URLs they were typed as, only the links
+  // with a different text need the link syntax.
+  Link: {
+    open: (state, mark) => mark.attrs.href ? '[' : '',
+    close: (state, mark) => mark.attrs.href ? `](${mark.attrs.href.replace(/[()"]/g, '\\$&')})` : '',
+  },
+};
+
+// How each Markdown token is parsed, keyed by the token name.
+const tokenParsers = {
+  paragraph: { block: 'paragraph' },
+  hardbreak: { node: 'hardBreak' },
+  // Every line break in a message is meaningful, so soft breaks are kept too.
+  softbreak: { node: 'hardBreak' },
+  fence: { block: 'codeBlock', noCloseToken: true },
+  code_inline: { mark: 'code', noCloseToken: true },
+  emoji: { node: 'emoji', getAttrs: token => ({ code: token.content }) },
+  strong: { mark: 'bold' },
+  em: { mark: 'italic' },
+  s: { mark: 'strike' },
+  blockquote: { block: 'blockquote' },
+  bullet_list: { block: 'bulletList' },
+  ordered_list: {
+    block: 'orderedList',
+    getAttrs: token => ({ start: Number(token.attrGet('start')) || 1 }),
+  },
+  list_item: { block: 'listItem' },
+  link: { mark: 'Link', getAttrs: token => ({ href: token.attrGet('href') }) },
+};
+
+// Markdown-it rule to drop the lone backslash of an empty line at the end of a
+// paragraph, see the paragraph serializer. It runs before the text tokens are
+// joined, so that it isn't confused with an escaped backslash.
+function emptyLineRule (state) {
+  state.tokens
+    .filter(token => token.type === 'inline')
+    .forEach(({ children }) => {
+      const last = children[children.length - 1];
+      const previous = children[children.length - 2];
+      if (last?.type === 'text' && last.content === '\\' && (!previous || previous.type.endsWith('break'))) {
+        children.pop();
+      }
+    });
+}
+
+// Markdown-it rule to parse valid emoji shortcodes into emoji tokens.
+function emojiRule (state, silent) {
+  const match = state.src.slice(state.pos).match(shortcodeRegex);
+  if (!match || !shortcodeToEmojiData(match[0])) {
+    return false;
+  }
+  if (!silent) {
+    state.push('emoji', '', 0).content = match[0];
+  }
+  state.pos += match[0].length;
+  return true;
+}
+
+function getTokenizer (schema) {
+  // Start with no syntax enabled and only add what the schema supports.
+  const tokenizer = markdownit('zero');
+  tokenizer.enable(['escape', 'newline', 'entity']);
+  tokenizer.core.ruler.before('text_join', 'empty_line', emptyLineRule);
+  if (schema.nodes.codeBlock) {
+    tokenizer.enable('fence');
+  }
+  if (schema.marks.code) {
+    tokenizer.enable('backticks');
+  }
+  if (schema.nodes.emoji) {
+    tokenizer.inline.ruler.push('emoji', emojiRule);
+  }
+  const enabledSyntax = Object.entries(getSyntax(schema))
+    .filter(([, isSupported]) => isSupported)
+    .map(([rule]) => rule);
+  if (enabledSyntax.length) {
+    tokenizer.enable(enabledSyntax);
+  }
+  return tokenizer;
+}
+
+/**
+ * Parse a Markdown string into a ProseMirror document of the given schema.
+ */
+export function parseMarkdown (markdown, schema) {
+  const tokens = Object.fromEntries(
+    Object.entries(tokenParsers)
+      .filter(([, spec]) => schema.nodes[spec.block ?? spec.node] || schema.marks[spec.mark]),
+  );
+  return new MarkdownParser(schema, getTokenizer(schema), tokens).parse(markdown);
+}
+
+/**
+ * Serialize a ProseMirror document into a Markdown string.
+ */
+export function serializeMarkdown (doc) {
+  // An empty editor has a single empty paragraph.
+  if (doc.childCount === 1 && doc.firstChild.type.name === 'paragraph' && !doc.firstChild.childCount) {
+    return '';
+  }
+  return new MarkdownSerializer(nodeSerializers, markSerializers)
+    .serialize(doc, { tightLists: true });
+}
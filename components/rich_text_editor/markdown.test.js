@@ -0,0 +1,203 @@
+import { getSchema } from '@tiptap/core';
+import Blockquote from '@tiptap/extension-blockquote';
+import Bold from '@tiptap/extension-bold';
+import BulletList from '@tiptap/extension-bullet-list';
+import Code from '@tiptap/extension-code';
+import Document from '@tiptap/extension-document';
+import HardBreak from '@tiptap/extension-hard-break';
+import Italic from '@tiptap/extension-italic';
+import ListItem from '@tiptap/extension-list-item';
+import OrderedList from '@tiptap/extension-ordered-list';
+import Paragraph from '@tiptap/extension-paragraph';
+import Strike from '@tiptap/extension-strike';
+import Text from '@tiptap/extension-text';
+import Underline from '@tiptap/extension-underline';
+import CodeBlock from './extensions/code_block';
+import Emoji from './extensions/emoji';
+import Link from './extensions/link';
+import { Node } from '@tiptap/pm/model';
+import { parseMarkdown, serializeMarkdown } from './markdown';
+
+const plainTextSchema = getSchema([Document, Paragraph, Text, HardBreak]);
+const schema = getSchema([Document, Paragraph, Text, HardBreak, Code, CodeBlock, Emoji, Link]);
+const formattingSchema = getSchema([
+  Document, Paragraph, Text, HardBreak, Code,
+  Bold, Italic, Underline, Strike, BulletList, OrderedList, ListItem, Blockquote,
+]);
+
+const _roundTrip = (markdown, markdownSchema = schema) => {
+  return serializeMarkdown(parseMarkdown(markdown, markdownSchema));
+};
+
+const _doc = (...content) => Node.fromJSON(schema, { type: 'doc', content });
+const _formattedDoc = (...content) => Node.fromJSON(formattingSchema, { type: 'doc', content });
+const _paragraph = (...content) => ({ type: 'paragraph', content });
+const _text = (text, marks) => ({ type: 'text', text, ...(marks && { marks }) });
+const _hardBreak = { type: 'hardBreak' };
+
+describe('Rich Text Editor Markdown tests', () => {
+  describe('Parsing Tests', () => {
+    it('should parse paragraphs and line breaks', () => {
+      expect(parseMarkdown('first\nline\n\nsecond', schema).toJSON()).toEqual(_doc(
+        _paragraph(_text('first'), { type: 'hardBreak' }, _text('line')),
+        _paragraph(_text('second')),
+      ).toJSON());
+    });
+
+    it('should parse inline code', () => {
+      expect(parseMarkdown('run `npm test` now', schema).toJSON()).toEqual(_doc(
+        _paragraph(_text('run '), _text('npm test', [{ type: 'code' }]), _text(' now')),
+      ).toJSON());
+    });
+
+    it('should parse code blocks', () => {
+      expect(parseMarkdown('```\nconst a = 1;\n```', schema).toJSON()).toEqual(_doc(
+        { type: 'codeBlock', attrs: { language: null }, content: [_text('const a = 1;')] },
+      ).toJSON());
+    });
+
+    it('should parse links', () => {
+      expect(parseMarkdown('see [Dialpad](https://dialpad.com)', schema).toJSON()).toEqual(_doc(
+        _paragraph(_text('see '), _text('Dialpad', [{ type: 'Link', attrs: { href: 'https://dialpad.com' } }])),
+      ).toJSON());
+    });
+
+    it('should parse valid emoji shortcodes', () => {
+      expect(parseMarkdown('hi :smile: :notanemoji:', schema).toJSON()).toEqual(_doc(
+        _paragraph(_text('hi '), { type: 'emoji', attrs: { code: ':smile:' } }, _text(' :notanemoji:')),
+      ).toJSON());
+    });
+
+    it('should keep unsupported syntax as plain text', () => {
+      expect(parseMarkdown('# not a heading *or emphasis*', schema).textContent)
+        .toBe('# not a heading *or emphasis*');
+    });
+
+    it('should keep syntax as plain text when the schema does not support it', () => {
+      expect(parseMarkdown('run `npm test` :smile:', plainTextSchema).textContent)
+        .toBe('run `npm test` :smile:');
+    });
+
+    it('should parse emphasis and strikethrough', () => {
+      expect(parseMarkdown('**bold** *italic* ~~strike~~', formattingSchema).toJSON()).toEqual(_formattedDoc(
+        _paragraph(
+          _text('bold', [{ type: 'bold' }]),
+          _text(' '),
+          _text('italic', [{ type: 'italic' }]),
+          _text(' '),
+          _text('strike', [{ type: 'strike' }]),
+        ),
+      ).toJSON());
+    });
+
+    it('should parse lists and quotes', () => {
+      expect(parseMarkdown('- one\n- two\n\n3. three\n\n> quote', formattingSchema).toJSON()).toEqual(_formattedDoc(
+        {
+          type: 'bulletList',
+          content: [
+            { type: 'listItem', content: [_paragraph(_text('one'))] },
+            { type: 'listItem', content: [_paragraph(_text('two'))] },
+          ],
+        },
+        {
+          type: 'orderedList',
+          attrs: { start: 3 },
+          content: [{ type: 'listItem', content: [_paragraph(_text('three'))] }],
+        },
+        { type: 'blockquote', content: [_paragraph(_text('quote'))] },
+      ).toJSON());
+    });
+  });
+
+  describe('Serializing Tests', () => {
+    it('should serialize links as they were typed', () => {
+      expect(serializeMarkdown(_doc(
+        _paragraph(_text('see '), _text('dialpad.com', [{ type: 'Link' }])),
+      ))).toBe('see dialpad.com');
+    });
+
+    it('should serialize links with a different text', () => {
+      expect(serializeMarkdown(_doc(
+        _paragraph(_text('see '), _text('Dialpad', [{ type: 'Link', attrs: { href: 'https://dialpad.com/(a)' } }])),
+      ))).toBe('see [Dialpad](https://dialpad.com/\\(a\\))');
+    });
+
+    it('should escape backticks and shortcodes in text', () => {
+      expect(serializeMarkdown(_doc(
+        _paragraph(_text('a ` tick and :smile: text')),
+      ))).toBe('a \\` tick and \\:smile: text');
+    });
+
+    it('should keep underlines as plain text', () => {
+      expect(serializeMarkdown(_formattedDoc(
+        _paragraph(_text('underlined', [{ type: 'underline' }])),
+      ))).toBe('underlined');
+    });
+
+    it('should not escape autolinks', () => {
+      const linkSchema = getSchema([Document, Paragraph, Text, Bold, Italic, Link]);
+      expect(serializeMarkdown(Node.fromJSON(linkSchema, {
+        type: 'doc',
+        content: [_paragraph(
+          _text('https://x.com/a_b', [{ type: 'Link' }]),
+          _text(' and '),
+          _text('a_b@x.com', [{ type: 'Link' }]),
+        )],
+      }))).toBe('https://x.com/a_b and a_b@x.com');
+    });
+
+    it('should serialize an empty editor into an empty string', () => {
+      expect(serializeMarkdown(_doc(_paragraph()))).toBe('');
+    });
+
+    it('should keep emphasis as plain text when the schema does not support it', () => {
+      const boldSchema = getSchema([Document, Paragraph, Text, Bold]);
+      expect(serializeMarkdown(Node.fromJSON(boldSchema, {
+        type: 'doc',
+        content: [_paragraph(_text('bold', [{ type: 'bold' }]), _text(' *star*'))],
+      }))).toBe('bold *star*');
+    });
+  });
+
+  describe('Round-trip Tests', () => {
+    it.each([
+      ['plain text', 'Hello world!'],
+      ['paragraphs', 'first paragraph\n\nsecond paragraph'],
+      ['line breaks', 'first line\nsecond line'],
+      ['links', 'check out dialpad.com and https://dialpad.com/about?q=1_2'],
+      ['links with a text', '[Dialpad](https://dialpad.com) and \\[not a link\\](dialpad.com)'],
+      ['inline code', 'run `npm test` now'],
+      ['inline code with backticks', 'see `` a`b ``'],
+      ['code blocks', 'before\n\n```\nconst a = 1;\n\nconst b = 2;\n```\n\nafter'],
+      ['emoji shortcodes', 'hi :smile: :+1:'],
+      ['escaped characters', 'a \\` tick, a \\\\ slash and \\:smile:'],
+      ['unsupported syntax', '# heading *emphasis* _underscore_ > quote'],
+    ])('should round-trip %s', (_, markdown) => {
+      expect(_roundTrip(markdown)).toBe(markdown);
+    });
+
+    it.each([
+      ['emphasis', '**bold**, *italic* and ***both***'],
+      ['strikethrough', '~~strike~~ and **~~bold strike~~**'],
+      ['bullet lists', '- one\n- two\n  - nested'],
+      ['ordered lists', '9. nine\n10. ten'],
+      ['quotes', '> quoted\n\nnot quoted'],
+      ['escaped formatting', '\\*not bold\\*, \\_not italic\\_ and \\~\\~not strike\\~\\~'],
+      ['escaped line starts', '\\- not a list\n\n1\\. not a list\n\n\\> not a quote'],
+    ])('should round-trip formatted %s', (_, markdown) => {
+      expect(_roundTrip(markdown, formattingSchema)).toBe(markdown);
+    });
+
+    it.each([
+      ['empty paragraphs', [_paragraph(_text('first')), _paragraph(), _paragraph(_text('second'))]],
+      ['consecutive line breaks', [_paragraph(_text('first'), _hardBreak, _hardBreak, _text('second'))]],
+      ['leading and trailing whitespace', [_paragraph(_text('  indented  '), _hardBreak, _text('\tand tabbed'))]],
+      ['trailing line breaks', [_paragraph(_text('first'), _hardBreak), _paragraph(_text('second'), _hardBreak, _hardBreak)]],
+      ['leading line breaks', [_paragraph(_hardBreak, _text('first'))]],
+      ['backslashes and entities', [_paragraph(_text('\\')), _paragraph(_text('a \\ and &amp;'))]],
+    ])('should round-trip the content of %s', (_, content) => {
+      const doc = _doc(...content);
+      expect(parseMarkdown(serializeMarkdown(doc), schema).toJSON()).toEqual(doc.toJSON());
+    });
+  });
+});
@@ -7,6 +7,20 @@ import {
   RICH_TEXT_EDITOR_AUTOFOCUS_TYPES,
 } from './rich_text_editor_constants';
 
+const mentionUsers = [
+  { id: '1', name: 'Jaqueline Nackos', avatarSrc: 'https://i.pravatar.cc/150?img=5' },
+  { id: '2', name: 'Jose Flores', avatarSrc: 'https://i.pravatar.cc/150?img=12' },
+  { id: '3', name: 'Mika Paulasaari' },
+  { id: '4', name: 'Nina Repetto' },
+];
+
+const channels = [
+  { id: '1', name: 'design', locked: false },
+  { id: '2', name: 'dialtone', locked: false },
+  { id: '3', name: 'dialtone-team', locked: true },
+  { id: '4', name: 'engineering', locked: false },
+];
+
 // Default Prop Values
 export const argsData = {
   value: `I’m not a standalone component, please use Message Input instead 🙏!`,
@@ -19,6 +33,7 @@ export const argsData = {
   onBlur: action('blur'),
   onInput: action('input'),
   onFocus: action('focus'),
+  onPaste: action('paste'),
 };
 
 export const argTypesData = {
@@ -58,6 +73,66 @@ export const argTypesData = {
     control: 'boolean',
   },
 
+  mention: {
+    control: 'object',
+  },
+
+  channel: {
+    control: 'object',
+  },
+
+  emoji: {
+    control: 'boolean',
+  },
+
+  codeblock: {
+    control: 'boolean',
+  },
+
+  code: {
+    control: 'boolean',
+  },
+
+  bold: {
+    control: 'boolean',
+  },
+
+  italic: {
+    control: 'boolean',
+  },
+
+  underline: {
+    control: 'boolean',
+  },
+
+  strike: {
+    control: 'boolean',
+  },
+
+  bulletList: {
+    control: 'boolean',
+  },
+
+  orderedList: {
+    control: 'boolean',
+  },
+
+  blockquote: {
+    control: 'boolean',
+  },
+
+  toolbar: {
+    control: 'boolean',
+  },
+
+  paste: {
+    control: 'object',
+  },
+
+  draftKey: {
+    control: 'text',
+  },
+
   // Directives
   'v-model': {
     description: 'Supported by this component',
@@ -83,6 +158,11 @@ export const argTypesData = {
       disable: true,
     },
   },
+  onPaste: {
+    table: {
+      disable: true,
+    },
+  },
 };
 
 // Story Collection
@@ -110,3 +190,62 @@ export const WithLinks = {
     'IP addresses: 192.158.1.38, email addresses: noreply@dialpad.com and phone numbers: (778) 765-8813, +17787658813!',
   },
 };
+
+export const WithMentions = {
+  ...Default,
+  args: {
+    value: 'Type @ to mention someone: ',
+    mention: {
+      items: ({ query }) => mentionUsers.filter(
+        user => user.name.toLowerCase().startsWith(query.toLowerCase()),
+      ),
+    },
+  },
+};
+
+export const WithChannels = {
+  ...Default,
+  args: {
+    value: 'Type # to link a channel: ',
+    channel: {
+      // Simulates fetching the channels from a server
+      items: ({ query }) => new Promise(resolve => setTimeout(() => resolve(
+        channels.filter(channel => channel.name.startsWith(query.toLowerCase())),
+      ), 200)),
+    },
+  },
+};
+
+export const WithEmojis = {
+  ...Default,
+  args: {
+    value: '<p>Emojis can be typed as shortcodes :smile:, pasted as unicode 👍 or searched by typing ":" and a few characters: </p>',
+    emoji: true,
+  },
+};
+
+export const WithCode = {
+  ...Default,
+  args: {
+    value: '<p>Type three backticks to start a code block, or wrap text in backticks for <code>inline code</code>:</p>' +
+      '<pre><code>const editor = new Editor();</code></pre>',
+    codeblock: true,
+    code: true,
+  },
+};
+
+export const WithToolbar = {
+  ...Default,
+  args: {
+    value: '<p>Select some text and format it with the toolbar or the keyboard shortcuts.</p>',
+    outputFormat: 'html',
+    toolbar: true,
+    bold: true,
+    italic: true,
+    underline: true,
+    strike: true,
+    bulletList: true,
+    orderedList: true,
+    blockquote: true,
+  },
+};
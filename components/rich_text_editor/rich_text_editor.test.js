@@ -1,6 +1,7 @@
 import { mount, createLocalVue } from '@vue/test-utils';
 import DtRichTextEditor from './rich_text_editor.vue';
 import { EditorContent } from '@tiptap/vue-2';
+import { createMemoryDraftStorage, readDraft } from './draft_storage';
 
 const MOCK_INPUT_STUB = vi.fn();
 
@@ -120,6 +121,27 @@ describe('DtRichTextEditor tests', () => {
             expect(MOCK_INPUT_STUB).toHaveBeenCalled();
           });
         });
+
+        describe('When using markdown output', () => {
+          it('should emit the output value', async () => {
+            await wrapper.setProps({ outputFormat: 'markdown' });
+
+            editorEl = document.getElementsByClassName('qa-editor')[0];
+            editorEl.innerHTML = '<p>new `value`</p>';
+
+            await wrapper.vm.$nextTick();
+
+            expect(wrapper.emitted().input[0][0]).toBe('new \\`value\\`');
+            expect(MOCK_INPUT_STUB).toHaveBeenCalled();
+          });
+
+          it('should parse a markdown value', async () => {
+            await wrapper.setProps({ outputFormat: 'markdown', code: true });
+            await wrapper.setProps({ value: 'first\nsecond `code`' });
+
+            expect(wrapper.vm.editor.getHTML()).toBe('<p>first<br>second <code>code</code></p>');
+          });
+        });
       });
     });
   });
@@ -168,6 +190,225 @@ describe('DtRichTextEditor tests', () => {
     });
   });
 
+  describe('Keyboard Tests', () => {
+    const _pressEnter = async (options) => {
+      editorEl.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, ...options }));
+      await wrapper.vm.$nextTick();
+    };
+
+    describe('When line breaks are allowed', () => {
+      it('should add a new paragraph on enter', async () => {
+        wrapper.vm.editor.commands.focus('end');
+        await _pressEnter();
+
+        expect(wrapper.vm.editor.getJSON().content.length).toBe(2);
+        expect(wrapper.emitted().enter).toBeUndefined();
+      });
+    });
+
+    describe('When line breaks are not allowed', () => {
+      beforeEach(async () => {
+        mockProps = { allowLineBreaks: false, outputFormat: 'json' };
+        await updateWrapper();
+        wrapper.vm.editor.commands.focus('end');
+      });
+
+      it('should emit enter instead of adding a new line', async () => {
+        await _pressEnter();
+
+        expect(wrapper.emitted().enter.length).toBe(1);
+        expect(wrapper.vm.editor.getJSON().content.length).toBe(1);
+      });
+
+      it('should add a line break on shift+enter', async () => {
+        await _pressEnter({ shiftKey: true });
+
+        expect(wrapper.emitted().enter).toBeUndefined();
+        expect(wrapper.vm.editor.getJSON().content[0].content.at(-1).type).toBe('hardBreak');
+      });
+    });
+  });
+
+  describe('Draft Tests', () => {
+    let draftStorage;
+
+    const _getDraftText = (draftKey = 'a') => readDraft(draftStorage, draftKey)?.content[0].content[0].text;
+
+    const _setContent = async (content) => {
+      wrapper.vm.editor.commands.setContent(content, true);
+      await wrapper.vm.$nextTick();
+    };
+
+    beforeEach(async () => {
+      draftStorage = createMemoryDraftStorage();
+      mockProps = { draftKey: 'a', draftStorage };
+      await updateWrapper();
+    });
+
+    afterEach(() => {
+      wrapper.destroy();
+    });
+
+    it('should save the content as a draft', async () => {
+      await _setContent('draft text');
+
+      expect(_getDraftText()).toBe('draft text');
+    });
+
+    it('should save the value passed by the parent', async () => {
+      await wrapper.setProps({ value: 'new value' });
+
+      expect(_getDraftText()).toBe('new value');
+    });
+
+    it('should remove the draft when cleared', async () => {
+      await _setContent('draft text');
+      wrapper.vm.clear();
+
+      expect(readDraft(draftStorage, 'a')).toBeNull();
+    });
+
+    describe('When the editor is created with a saved draft', () => {
+      beforeEach(async () => {
+        await _setContent('draft text');
+        wrapper.destroy();
+        await updateWrapper();
+      });
+
+      it('should restore the draft', () => {
+        expect(wrapper.vm.editor.getText()).toBe('draft text');
+      });
+
+      it('should emit the draft', () => {
+        expect(wrapper.emitted().input[0][0]).toBe('draft text');
+      });
+    });
+
+    describe('When the draft key changes', () => {
+      beforeEach(async () => {
+        await _setContent('draft text');
+        await wrapper.setProps({ draftKey: 'b' });
+      });
+
+      it('should empty the editor when there is no draft', () => {
+        expect(wrapper.vm.editor.getText()).toBe('');
+        expect(wrapper.emitted().input.at(-1)[0]).toBe('');
+      });
+
+      it('should not undo into the previous draft', () => {
+        expect(wrapper.vm.undo()).toBe(false);
+      });
+
+      describe('When it changes back', () => {
+        beforeEach(async () => {
+          await wrapper.setProps({ draftKey: 'a' });
+        });
+
+        it('should restore the draft', () => {
+          expect(wrapper.vm.editor.getText()).toBe('draft text');
+          expect(wrapper.emitted().input.at(-1)[0]).toBe('draft text');
+        });
+      });
+    });
+
+    describe('When the value is bound with v-model and the draft key changes', () => {
+      beforeEach(async () => {
+        mockListeners = { input: value => wrapper.setProps({ value }) };
+        wrapper.destroy();
+        await updateWrapper();
+        await _setContent('unsent text');
+        await wrapper.setProps({ draftKey: 'b' });
+      });
+
+      it('should not show the unsent text of the previous key', () => {
+        expect(wrapper.vm.editor.getText()).toBe('');
+        expect(wrapper.props('value')).toBe('');
+      });
+
+      it('should not save the unsent text as the draft of the new key', async () => {
+        wrapper.vm.editor.commands.insertContent('new text');
+        await wrapper.vm.$nextTick();
+
+        expect(_getDraftText('a')).toBe('unsent text');
+        expect(_getDraftText('b')).toBe('new text');
+      });
+    });
+
+    describe('When no storage is passed', () => {
+      beforeEach(async () => {
+        mockProps = { draftKey: 'c' };
+        await updateWrapper();
+        await _setContent('local draft');
+      });
+
+      afterEach(() => {
+        localStorage.clear();
+      });
+
+      it('should save the draft into localStorage', () => {
+        expect(readDraft(localStorage, 'c').content[0].content[0].text).toBe('local draft');
+      });
+    });
+
+    describe('When localStorage is blocked', () => {
+      let localStorageSpy;
+
+      beforeEach(async () => {
+        localStorageSpy = vi.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+          throw new DOMException('The operation is insecure.', 'SecurityError');
+        });
+        mockProps = { draftKey: 'd' };
+        await updateWrapper();
+      });
+
+      afterEach(() => {
+        localStorageSpy.mockRestore();
+      });
+
+      it('should still edit the content without a draft', async () => {
+        await _setContent('no draft');
+
+        expect(MOCK_INPUT_STUB).toHaveBeenLastCalledWith('no draft');
+      });
+    });
+  });
+
+  describe('Method Tests', () => {
+    beforeEach(() => {
+      wrapper.vm.editor.commands.setTextSelection(9);
+    });
+
+    it('should insert content at the cursor', () => {
+      wrapper.vm.insertContent('new ');
+
+      expect(wrapper.vm.editor.getText()).toBe('initial new value');
+    });
+
+    it('should undo and redo changes', () => {
+      wrapper.vm.insertContent('new ');
+      wrapper.vm.undo();
+
+      expect(wrapper.vm.editor.getText()).toBe('initial value');
+
+      wrapper.vm.redo();
+
+      expect(wrapper.vm.editor.getText()).toBe('initial new value');
+    });
+
+    it('should clear the content', () => {
+      wrapper.vm.clear();
+
+      expect(wrapper.vm.editor.getText()).toBe('');
+      expect(MOCK_INPUT_STUB).toHaveBeenLastCalledWith('');
+    });
+
+    it('should move the cursor to the focused position', () => {
+      wrapper.vm.focus('start');
+
+      expect(wrapper.vm.editor.state.selection.from).toBe(1);
+    });
+  });
+
   describe('Build Tests', () => {
     it('should not be included in the core build', async () => {
       // Ok this one is a bit goofy, but it's a naive attempt to make sure no
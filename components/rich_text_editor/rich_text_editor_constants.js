@@ -2,6 +2,7 @@ export const RICH_TEXT_EDITOR_OUTPUT_FORMATS = [
   'text',
   'json',
   'html',
+  'markdown',
 ];
 
 export const RICH_TEXT_EDITOR_AUTOFOCUS_TYPES = [
@@ -9,3 +10,36 @@ export const RICH_TEXT_EDITOR_AUTOFOCUS_TYPES = [
   'end',
   'all',
 ];
+
+/**
+ * The formatting actions of the toolbar, in the order they're shown. Each one
+ * is only shown when its extension is enabled in the editor.
+ * - `name`     Name of the mark or node in the editor schema
+ * - `command`  Editor command that toggles it
+ * - `shortcut` Keyboard shortcut of the command, `{mod}` is Cmd on Mac and
+ *              Ctrl everywhere else
+ */
+export const RICH_TEXT_EDITOR_TOOLBAR_ACTIONS = [
+  { name: 'bold', icon: 'bold', label: 'Bold', command: 'toggleBold', shortcut: '{mod}+B' },
+  { name: 'italic', icon: 'italic', label: 'Italic', command: 'toggleItalic', shortcut: '{mod}+I' },
+  { name: 'underline', icon: 'underline', label: 'Underline', command: 'toggleUnderline', shortcut: '{mod}+U' },
+  { name: 'strike', icon: 'strikethrough', label: 'Strikethrough', command: 'toggleStrike', shortcut: '{mod}+Shift+X' },
+  { name: 'bulletList', icon: 'list-bullet', label: 'Bulleted list', command: 'toggleBulletList', shortcut: '{mod}+Shift+8' },
+  { name: 'orderedList', icon: 'list-ordered', label: 'Numbered list', command: 'toggleOrderedList', shortcut: '{mod}+Shift+7' },
+  { name: 'blockquote', icon: 'quote', label: 'Quote', command: 'toggleBlockquote', shortcut: '{mod}+Shift+B' },
+  { name: 'Link', icon: 'link-2', label: 'Link', command: 'openLinkEditor', shortcut: '{mod}+K' },
+];
+
+/**
+ * The default labels of the link editor, which can be overridden with the
+ * `labels` option of the Link extension.
+ */
+export const RICH_TEXT_EDITOR_LINK_EDITOR_LABELS = {
+  dialog: 'Edit link',
+  text: 'Text',
+  href: 'Link',
+  save: 'Save',
+  cancel: 'Cancel',
+  remove: 'Remove link',
+  invalid: 'Enter a valid URL, email address or phone number',
+};
@@ -0,0 +1,199 @@
+import { mount, createLocalVue } from '@vue/test-utils';
+import DtRichTextEditor from './rich_text_editor.vue';
+
+const baseProps = {
+  value: '<p>initial value</p>',
+  inputAriaLabel: 'aria-label text',
+  outputFormat: 'html',
+  toolbar: true,
+  bold: true,
+  italic: true,
+  strike: true,
+  bulletList: true,
+};
+
+let mockProps = {};
+const testContext = {};
+
+describe('DtRichTextEditorToolbar tests', () => {
+  let wrapper;
+  let editor;
+
+  const _findButton = (name) => wrapper.find(`[data-qa="dt-rich-text-editor-toolbar-${name}"]`);
+
+  const _selectAll = async () => {
+    editor.commands.focus();
+    editor.commands.selectAll();
+    await wrapper.vm.$nextTick();
+  };
+
+  const updateWrapper = async () => {
+    wrapper = mount(DtRichTextEditor, {
+      propsData: { ...baseProps, ...mockProps },
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+
+    await wrapper.vm.$nextTick();
+
+    editor = wrapper.vm.editor;
+  };
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+  });
+
+  beforeEach(async () => {
+    await updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the toolbar', () => {
+      expect(wrapper.find('[data-qa="dt-rich-text-editor-toolbar"]').attributes('role')).toBe('toolbar');
+    });
+
+    it('should only render buttons for the enabled extensions', () => {
+      expect(_findButton('bold').exists()).toBe(true);
+      expect(_findButton('italic').exists()).toBe(true);
+      expect(_findButton('strike').exists()).toBe(true);
+      expect(_findButton('bulletList').exists()).toBe(true);
+      expect(_findButton('underline').exists()).toBe(false);
+      expect(_findButton('orderedList').exists()).toBe(false);
+      expect(_findButton('blockquote').exists()).toBe(false);
+    });
+
+    it('should show the keyboard shortcut in the tooltip', async () => {
+      vi.useFakeTimers();
+      await wrapper.find('[data-qa="dt-tooltip-anchor"]').trigger('mouseenter');
+      vi.runAllTimers();
+      vi.useRealTimers();
+      await wrapper.vm.$nextTick();
+
+      const shortcut = document.querySelector('[data-qa="dt-tooltip"] .d-keyboard-shortcut');
+      expect(shortcut.textContent).toContain('Control B');
+    });
+
+    it('should label the buttons', () => {
+      expect(_findButton('bold').attributes('aria-label')).toBe('Bold');
+    });
+
+    describe('When custom labels are passed', () => {
+      beforeEach(async () => {
+        mockProps = { toolbar: { labels: { bold: 'Gras' } } };
+        await updateWrapper();
+      });
+
+      it('should use the custom label', () => {
+        expect(_findButton('bold').attributes('aria-label')).toBe('Gras');
+        expect(_findButton('italic').attributes('aria-label')).toBe('Italic');
+      });
+    });
+
+    describe('When the toolbar is not enabled', () => {
+      beforeEach(async () => {
+        mockProps = { toolbar: false };
+        await updateWrapper();
+      });
+
+      it('should not render the toolbar', () => {
+        expect(wrapper.find('[data-qa="dt-rich-text-editor-toolbar"]').exists()).toBe(false);
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When a mark button is clicked', () => {
+      beforeEach(async () => {
+        await _selectAll();
+        await _findButton('bold').trigger('click');
+      });
+
+      it('should toggle the mark on the selection', () => {
+        expect(editor.getHTML()).toBe('<p><strong>initial value</strong></p>');
+      });
+
+      it('should show the button as active', () => {
+        expect(_findButton('bold').attributes('aria-pressed')).toBe('true');
+        expect(_findButton('italic').attributes('aria-pressed')).toBe('false');
+      });
+
+      describe('When it is clicked again', () => {
+        beforeEach(async () => {
+          await _findButton('bold').trigger('click');
+        });
+
+        it('should remove the mark', () => {
+          expect(editor.getHTML()).toBe('<p>initial value</p>');
+          expect(_findButton('bold').attributes('aria-pressed')).toBe('false');
+        });
+      });
+    });
+
+    describe('When a node button is clicked', () => {
+      beforeEach(async () => {
+        await _selectAll();
+        await _findButton('bulletList').trigger('click');
+      });
+
+      it('should toggle the node', () => {
+        expect(editor.getHTML()).toBe('<ul><li><p>initial value</p></li></ul>');
+        expect(_findButton('bulletList').attributes('aria-pressed')).toBe('true');
+      });
+    });
+
+    describe('When the cursor moves into formatted text', () => {
+      beforeEach(async () => {
+        mockProps = { value: '<p><em>italic</em> plain</p>' };
+        await updateWrapper();
+        editor.commands.setTextSelection(3);
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should show the active marks at the cursor', () => {
+        expect(_findButton('italic').attributes('aria-pressed')).toBe('true');
+      });
+
+      describe('When the cursor moves out of it', () => {
+        beforeEach(async () => {
+          editor.commands.setTextSelection(10);
+          await wrapper.vm.$nextTick();
+        });
+
+        it('should not show the mark as active', () => {
+          expect(_findButton('italic').attributes('aria-pressed')).toBe('false');
+        });
+      });
+    });
+
+    describe('When the link button is clicked', () => {
+      beforeEach(async () => {
+        mockProps = { link: true };
+        await updateWrapper();
+        await _findButton('Link').trigger('click');
+      });
+
+      it('should open the link editor', () => {
+        expect(wrapper.vm.linkEditor.open).toBe(true);
+      });
+    });
+
+    describe('When the editor is not editable', () => {
+      beforeEach(async () => {
+        mockProps = { editable: false };
+        await updateWrapper();
+      });
+
+      it('should disable the buttons', () => {
+        expect(_findButton('bold').attributes('disabled')).toBe('disabled');
+      });
+    });
+  });
+});
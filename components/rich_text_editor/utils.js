@@ -0,0 +1,42 @@
+import { getTextSerializersFromSchema } from '@tiptap/core';
+
+/**
+ * Get the plain text content of the editor. Works like TipTap's
+ * `editor.getText()`, but keeps code formatted the way it is typed: code
+ * blocks are wrapped in triple-backticks and inline code in backticks.
+ */
+export function getText (editor, { blockSeparator = '\n\n' } = {}) {
+  const textSerializers = {
+    ...getTextSerializersFromSchema(editor.schema),
+    codeBlock: ({ node }) => `\`\`\`\n${node.textContent}\n\`\`\``,
+  };
+
+  let text = '';
+  // Whether a block separator was already added after the previous content.
+  let separated = true;
+
+  editor.state.doc.descendants((node, pos, parent, index) => {
+    const textSerializer = textSerializers[node.type.name];
+
+    if (node.isBlock && !separated) {
+      text += blockSeparator;
+      separated = true;
+    }
+
+    if (textSerializer) {
+      text += textSerializer({ node, pos, parent, index });
+      separated = false;
+      // The serializer takes care of the content of the node too.
+      return false;
+    }
+
+    if (node.isText) {
+      text += node.marks.some(mark => mark.type.name === 'code')
+        ? `\`${node.text}\``
+        : node.text;
+      separated = false;
+    }
+  });
+
+  return text;
+}
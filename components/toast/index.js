@@ -1,2 +1,9 @@
 export { default as DtToast } from './toast.vue';
-export { TOAST_ROLES, TOAST_MIN_DURATION } from './toast_constants';
+export { default as DtToastContainer } from './toast_container.vue';
+export { DtToastPlugin, createToastService } from './toast_service.js';
+export {
+  TOAST_ROLES,
+  TOAST_MIN_DURATION,
+  TOAST_MAX_VISIBLE,
+  TOAST_CONTAINER_POSITIONS,
+} from './toast_constants';
@@ -3,7 +3,9 @@ import { createTemplateFromVueFile, getIconNames } from '@/common/storybook_util
 import DtToast from './toast.vue';
 
 import DtToastDefaultTemplate from './toast_default.story.vue';
+import DtToastServiceTemplate from './toast_service.story.vue';
 import { NOTICE_KINDS } from '../notice';
+import { TOAST_CONTAINER_POSITIONS } from './toast_constants';
 
 const iconsList = getIconNames();
 
@@ -89,6 +91,18 @@ export const argTypesData = {
       },
     },
   },
+  position: {
+    description: 'Position of the toasts of DtToastContainer, used by the Service story',
+    options: TOAST_CONTAINER_POSITIONS,
+    control: {
+      type: 'select',
+    },
+    table: {
+      defaultValue: {
+        summary: 'top-center',
+      },
+    },
+  },
 
   // Action Event Handlers
   onClick: {
@@ -122,6 +136,8 @@ export default {
 // Templates
 const DefaultTemplate = (args, { argTypes }) =>
   createTemplateFromVueFile(args, argTypes, DtToastDefaultTemplate);
+const ServiceTemplate = (args, { argTypes }) =>
+  createTemplateFromVueFile(args, argTypes, DtToastServiceTemplate);
 
 export const Default = {
   render: DefaultTemplate,
@@ -208,3 +224,12 @@ export const Important = {
     ...Default.parameters,
   },
 };
+
+export const Service = {
+  render: ServiceTemplate,
+
+  args: {
+    ...Default.args,
+    position: 'top-center',
+  },
+};
@@ -1,7 +1,20 @@
 export const TOAST_ROLES = ['status', 'alert'];
 export const TOAST_MIN_DURATION = 6000;
 
+export const TOAST_MAX_VISIBLE = 3;
+
+export const TOAST_CONTAINER_POSITIONS = [
+  'top-left',
+  'top-center',
+  'top-right',
+  'bottom-left',
+  'bottom-center',
+  'bottom-right',
+];
+
 export default {
   TOAST_ROLES,
   TOAST_MIN_DURATION,
+  TOAST_MAX_VISIBLE,
+  TOAST_CONTAINER_POSITIONS,
 };
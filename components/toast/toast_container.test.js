@@ -0,0 +1,142 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import DtToastContainer from './toast_container.vue';
+import { createToastService } from './toast_service.js';
+import { TOAST_MIN_DURATION } from './toast_constants';
+
+let mockProps = {};
+const testContext = {};
+
+describe('DtToastContainer Tests', () => {
+  let wrapper;
+  let service;
+
+  const updateWrapper = () => {
+    wrapper = mount(DtToastContainer, {
+      propsData: { service, ...mockProps },
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+  };
+
+  const _findToasts = () => wrapper.findAll('[data-qa="dt-toast"]');
+
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    service = createToastService();
+    updateWrapper();
+  });
+
+  afterEach(() => {
+    mockProps = {};
+    service.clear();
+    wrapper.destroy();
+    vi.useRealTimers();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the container at the top center', () => {
+      expect(wrapper.classes()).toContain('d-toast-container--top-center');
+    });
+
+    describe('When a position is passed', () => {
+      beforeEach(() => {
+        mockProps = { position: 'bottom-right' };
+        updateWrapper();
+      });
+
+      it('should render the container at the position', () => {
+        expect(wrapper.classes()).toContain('d-toast-container--bottom-right');
+      });
+    });
+
+    describe('When toasts are shown', () => {
+      beforeEach(async () => {
+        service.show({ kind: 'error', title: 'Error', message: 'The call failed' });
+        service.show({ message: 'Second toast' });
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should render them', () => {
+        expect(_findToasts().length).toBe(2);
+        expect(_findToasts().at(0).text()).toContain('The call failed');
+        expect(_findToasts().at(0).classes()).toContain('d-toast--error');
+      });
+
+      describe('When one is closed', () => {
+        beforeEach(async () => {
+          await wrapper.find('[data-qa="dt-notice-action-close-button"]').trigger('click');
+        });
+
+        it('should dismiss it', () => {
+          expect(_findToasts().length).toBe(1);
+          expect(_findToasts().at(0).text()).toContain('Second toast');
+        });
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    let onClick;
+    let id;
+
+    beforeEach(async () => {
+      onClick = vi.fn();
+      id = service.show({ message: 'Message deleted', action: { label: 'Undo', onClick } });
+      await wrapper.vm.$nextTick();
+    });
+
+    describe('When the action is clicked', () => {
+      beforeEach(async () => {
+        await wrapper.find('[data-qa="dt-toast-container-action"]').trigger('click');
+      });
+
+      it('should call the action', () => {
+        expect(onClick).toHaveBeenCalledWith(expect.objectContaining({ id }));
+      });
+
+      it('should dismiss the toast', () => {
+        expect(_findToasts().length).toBe(0);
+      });
+    });
+
+    describe('When the toast is hovered', () => {
+      beforeEach(async () => {
+        await _findToasts().at(0).trigger('mouseenter');
+        vi.advanceTimersByTime(TOAST_MIN_DURATION);
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should pause its duration', () => {
+        expect(_findToasts().length).toBe(1);
+      });
+
+      describe('When the mouse leaves it', () => {
+        beforeEach(async () => {
+          await _findToasts().at(0).trigger('mouseleave');
+          vi.advanceTimersByTime(TOAST_MIN_DURATION);
+          await wrapper.vm.$nextTick();
+        });
+
+        it('should resume its duration', () => {
+          expect(_findToasts().length).toBe(0);
+        });
+      });
+    });
+
+    describe('When the toast is focused', () => {
+      beforeEach(async () => {
+        await _findToasts().at(0).trigger('focusin');
+        vi.advanceTimersByTime(TOAST_MIN_DURATION);
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should pause its duration', () => {
+        expect(_findToasts().length).toBe(1);
+      });
+    });
+  });
+});
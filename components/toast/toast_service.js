@@ -0,0 +1,173 @@
+import Vue from 'vue';
+import { getUniqueString } from '@/common/utils';
+import { TOAST_MIN_DURATION, TOAST_MAX_VISIBLE } from './toast_constants.js';
+
+/**
+ * Creates a toast service, which keeps the toasts shown with `show` and
+ * dismisses them after their duration. At most `maxVisible` toasts are
+ * visible at once, the rest are queued and shown as the visible ones are
+ * dismissed. The toasts are rendered by DtToastContainer.
+ *
+ * @param {Object} options
+ * @param {Number} options.maxVisible Maximum number of visible toasts
+ * @param {Number} options.duration Default duration of the toasts in ms, or null to keep them until they're closed
+ */
+export function createToastService ({ maxVisible = TOAST_MAX_VISIBLE, duration = TOAST_MIN_DURATION } = {}) {
+  const state = Vue.observable({
+    // Visible toasts, from the oldest to the newest
+    toasts: [],
+    queue: [],
+  });
+
+  // Duration timers of the visible toasts, keyed by their id.
+  const timers = {};
+
+  const isSameToast = (toast, other) => {
+    return toast.kind === other.kind && toast.title === other.title && toast.message === other.message;
+  };
+
+  function runTimer (id) {
+    const timer = timers[id];
+    timer.startedAt = Date.now();
+    timer.timeout = setTimeout(() => dismiss(id), timer.remaining);
+  }
+
+  function startTimer (toast) {
+    if (!toast.duration) {
+      return;
+    }
+    timers[toast.id] = { remaining: toast.duration, pauses: 0 };
+    runTimer(toast.id);
+  }
+
+  function clearTimer (id) {
+    clearTimeout(timers[id]?.timeout);
+    delete timers[id];
+  }
+
+  function showQueued () {
+    while (state.toasts.length < maxVisible && state.queue.length) {
+      const toast = state.queue.shift();
+      state.toasts.push(toast);
+      startTimer(toast);
+    }
+  }
+
+  /**
+   * Shows a toast, or queues it if the maximum number of toasts are visible.
+   * A toast with the same kind, title and message as one that is already
+   * shown or queued isn't added again, the duration of that one restarts instead.
+   *
+   * @param {Object} toast
+   * @param {String} toast.kind Severity level of the toast: base, error, info, success or warning
+   * @param {String} toast.title Title of the toast
+   * @param {String} toast.message Message of the toast
+   * @param {Number} toast.duration Duration in ms, at least TOAST_MIN_DURATION, or null to keep the toast until it's closed
+   * @param {Object} toast.action Button of the toast as `{ label, onClick }`. The toast is dismissed when it's clicked.
+   * @param {String} toast.role Role of the toast: status or alert
+   * @param {Boolean} toast.important Whether the toast visually dominates the screen
+   * @returns {String} The id of the toast
+   */
+  function show ({
+    kind = 'base',
+    title = '',
+    message = '',
+    duration: toastDuration = duration,
+    action = null,
+    role = 'status',
+    important = false,
+  } = {}) {
+    const toast = {
+      id: getUniqueString(),
+      kind,
+      title,
+      message,
+      duration: toastDuration ? Math.max(toastDuration, TOAST_MIN_DURATION) : null,
+      action,
+      role,
+      important,
+    };
+
+    const duplicate = [...state.toasts, ...state.queue].find(shown => isSameToast(shown, toast));
+    if (duplicate) {
+      if (timers[duplicate.id] && !timers[duplicate.id].pauses) {
+        clearTimer(duplicate.id);
+        startTimer(duplicate);
+      }
+      return duplicate.id;
+    }
+
+    state.queue.push(toast);
+    showQueued();
+    return toast.id;
+  }
+
+  /**
+   * Dismisses a visible or queued toast.
+   *
+   * @param {String} id The id returned by `show`
+   */
+  function dismiss (id) {
+    clearTimer(id);
+    state.toasts = state.toasts.filter(toast => toast.id !== id);
+    state.queue = state.queue.filter(toast => toast.id !== id);
+    showQueued();
+  }
+
+  /**
+   * Dismisses all the visible and queued toasts.
+   */
+  function clear () {
+    Object.keys(timers).forEach(clearTimer);
+    state.toasts = [];
+    state.queue = [];
+  }
+
+  /**
+   * Pauses the duration of a toast, e.g. while it's hovered or focused.
+   * Each pause must be followed by a `resume`.
+   *
+   * @param {String} id The id returned by `show`
+   */
+  function pause (id) {
+    const timer = timers[id];
+    if (!timer) {
+      return;
+    }
+    if (!timer.pauses) {
+      clearTimeout(timer.timeout);
+      timer.remaining -= Date.now() - timer.startedAt;
+    }
+    timer.pauses++;
+  }
+
+  /**
+   * Resumes the duration of a toast once it's no longer paused.
+   *
+   * @param {String} id The id returned by `show`
+   */
+  function resume (id) {
+    const timer = timers[id];
+    if (!timer?.pauses) {
+      return;
+    }
+    timer.pauses--;
+    if (!timer.pauses) {
+      runTimer(id);
+    }
+  }
+
+  return { state, show, dismiss, clear, pause, resume };
+}
+
+/**
+ * Vue plugin that adds a toast service as `this.$dtToast` to every component.
+ * It takes the same options as `createToastService`.
+ */
+export const DtToastPlugin = {
+  install (Vue, options = {}) {
+    Vue.prototype.$dtToast = createToastService(options);
+  },
+};
+
+export default DtToastPlugin;
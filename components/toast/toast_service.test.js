@@ -0,0 +1,188 @@
+import { createLocalVue } from '@vue/test-utils';
+import { createToastService, DtToastPlugin } from './toast_service.js';
+import { TOAST_MIN_DURATION } from './toast_constants';
+
+const MOCK_TOAST = { kind: 'success', title: 'Saved', message: 'The contact was saved' };
+
+describe('Toast Service Tests', () => {
+  let service;
+
+  const _getToastIds = () => service.state.toasts.map(toast => toast.id);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    service = createToastService({ maxVisible: 2 });
+  });
+
+  afterEach(() => {
+    service.clear();
+    vi.useRealTimers();
+  });
+
+  describe('When a toast is shown', () => {
+    let id;
+
+    beforeEach(() => {
+      id = service.show(MOCK_TOAST);
+    });
+
+    it('should be visible', () => {
+      expect(service.state.toasts).toEqual([expect.objectContaining({ id, ...MOCK_TOAST, role: 'status' })]);
+    });
+
+    it('should be dismissed after the default duration', () => {
+      vi.advanceTimersByTime(TOAST_MIN_DURATION - 1);
+      expect(_getToastIds()).toEqual([id]);
+
+      vi.advanceTimersByTime(1);
+      expect(_getToastIds()).toEqual([]);
+    });
+
+    describe('When it is dismissed', () => {
+      beforeEach(() => {
+        service.dismiss(id);
+      });
+
+      it('should not be visible', () => {
+        expect(service.state.toasts).toEqual([]);
+      });
+    });
+
+    describe('When the same toast is shown again', () => {
+      let duplicateId;
+
+      beforeEach(() => {
+        vi.advanceTimersByTime(TOAST_MIN_DURATION - 1000);
+        duplicateId = service.show({ ...MOCK_TOAST });
+      });
+
+      it('should not add it again', () => {
+        expect(duplicateId).toBe(id);
+        expect(_getToastIds()).toEqual([id]);
+      });
+
+      it('should restart its duration', () => {
+        vi.advanceTimersByTime(TOAST_MIN_DURATION - 1);
+
+        expect(_getToastIds()).toEqual([id]);
+      });
+    });
+
+    describe('When it is paused', () => {
+      beforeEach(() => {
+        vi.advanceTimersByTime(1000);
+        service.pause(id);
+        vi.advanceTimersByTime(TOAST_MIN_DURATION * 2);
+      });
+
+      it('should not be dismissed', () => {
+        expect(_getToastIds()).toEqual([id]);
+      });
+
+      describe('When it is resumed', () => {
+        beforeEach(() => {
+          service.resume(id);
+        });
+
+        it('should be dismissed after the rest of its duration', () => {
+          vi.advanceTimersByTime(TOAST_MIN_DURATION - 1001);
+          expect(_getToastIds()).toEqual([id]);
+
+          vi.advanceTimersByTime(1);
+          expect(_getToastIds()).toEqual([]);
+        });
+      });
+
+      describe('When it is paused twice and only resumed once', () => {
+        beforeEach(() => {
+          service.pause(id);
+          service.resume(id);
+          vi.advanceTimersByTime(TOAST_MIN_DURATION * 2);
+        });
+
+        it('should stay paused', () => {
+          expect(_getToastIds()).toEqual([id]);
+        });
+      });
+    });
+  });
+
+  describe('When a toast is shown with a duration', () => {
+    it('should use the duration', () => {
+      service.show({ message: 'Long', duration: 10000 });
+      vi.advanceTimersByTime(9999);
+      expect(service.state.toasts.length).toBe(1);
+
+      vi.advanceTimersByTime(1);
+      expect(service.state.toasts.length).toBe(0);
+    });
+
+    it('should use at least the minimum duration', () => {
+      service.show({ message: 'Short', duration: 1000 });
+      vi.advanceTimersByTime(TOAST_MIN_DURATION - 1);
+
+      expect(service.state.toasts.length).toBe(1);
+    });
+
+    it('should keep the toast without a duration', () => {
+      service.show({ message: 'Sticky', duration: null });
+      vi.advanceTimersByTime(TOAST_MIN_DURATION * 10);
+
+      expect(service.state.toasts.length).toBe(1);
+    });
+  });
+
+  describe('When more toasts than the maximum are shown', () => {
+    let ids;
+
+    beforeEach(() => {
+      ids = ['First', 'Second', 'Third'].map(message => service.show({ message }));
+    });
+
+    it('should queue the rest', () => {
+      expect(_getToastIds()).toEqual([ids[0], ids[1]]);
+      expect(service.state.queue.map(toast => toast.id)).toEqual([ids[2]]);
+    });
+
+    it('should show the queued toast when a visible one is dismissed', () => {
+      service.dismiss(ids[0]);
+
+      expect(_getToastIds()).toEqual([ids[1], ids[2]]);
+    });
+
+    it('should only start the duration of the queued toast once it is visible', () => {
+      vi.advanceTimersByTime(TOAST_MIN_DURATION);
+      expect(_getToastIds()).toEqual([ids[2]]);
+
+      vi.advanceTimersByTime(TOAST_MIN_DURATION - 1);
+      expect(_getToastIds()).toEqual([ids[2]]);
+    });
+
+    it('should dismiss a queued toast', () => {
+      service.dismiss(ids[2]);
+      service.dismiss(ids[0]);
+
+      expect(_getToastIds()).toEqual([ids[1]]);
+    });
+
+    describe('When they are cleared', () => {
+      beforeEach(() => {
+        service.clear();
+      });
+
+      it('should remove all the toasts', () => {
+        expect(service.state.toasts).toEqual([]);
+        expect(service.state.queue).toEqual([]);
+      });
+    });
+  });
+
+  describe('When the plugin is installed', () => {
+    it('should add the service to the components', () => {
+      const localVue = createLocalVue();
+      localVue.use(DtToastPlugin, { maxVisible: 1 });
+
+      expect(localVue.prototype.$dtToast.show).toBeInstanceOf(Function);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 export * from './common/emoji';
+export * from './common/emoji_search';
 
 export * from './components/emoji';
 export * from './components/emoji_text_wrapper';
@@ -10,6 +10,7 @@ export * from './components/codeblock';
 export * from './components/combobox';
 export * from './components/collapsible';
 export * from './components/description_list';
+export * from './components/drawer';
 export * from './components/dropdown';
 export * from './components/emoji_picker';
 export * from './components/image_viewer';
@@ -41,11 +42,13 @@ export * from './components/root_layout';
 export * from './components/icon';
 export * from './components/stack';
 export * from './components/datepicker';
+export * from './components/date_time_picker';
 export * from './components/item_layout';
 
 /// Recipes
 export * from './recipes/comboboxes/combobox_with_popover';
 export * from './recipes/comboboxes/combobox_multi_select';
+export * from './recipes/datepickers/datepicker_with_input';
 export * from './recipes/buttons/callbar_button';
 export * from './recipes/buttons/callbar_button_with_popover';
 export * from './recipes/list_items/contact_info';
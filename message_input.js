@@ -0,0 +1,2 @@
+export * from './components/rich_text_editor';
+export * from './recipes/conversation_view/message_input';
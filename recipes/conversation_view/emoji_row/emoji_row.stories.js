@@ -2,6 +2,7 @@ import { action } from '@storybook/addon-actions';
 import { createTemplateFromVueFile } from '@/common/storybook_utils';
 import DtRecipeEmojiRow from './emoji_row.vue';
 import DtRecipeEmojiRowDefaultTemplate from './emoji_row_default.story.vue';
+import { createEmojiUsageTracker } from '@/components/emoji_picker';
 
 // Default Prop Values
 export const argsData = {
@@ -25,6 +26,10 @@ export const argTypesData = {
     },
   },
 
+  usageTracker: {
+    control: false,
+  },
+
   // Action Event Handlers
   onEmojiClicked: {
     table: {
@@ -94,3 +99,15 @@ export const Default = {
     ],
   },
 };
+
+const usageTracker = createEmojiUsageTracker();
+[':thumbsup:', ':thumbsup:', ':tada:', ':eyes:', '😀'].forEach(usageTracker.record);
+
+export const WithQuickReactions = {
+  render: DefaultTemplate,
+
+  args: {
+    ...Default.args,
+    usageTracker,
+  },
+};
@@ -5,6 +5,7 @@ import {
 } from '../../../tests/shared_examples/validation';
 import DtRecipeEmojiRow from './emoji_row.vue';
 import { DtTooltip } from '@/components/tooltip';
+import { createEmojiUsageTracker } from '@/components/emoji_picker';
 
 // Constants
 const testEmojiObj = {
@@ -132,6 +133,52 @@ describe('DtRecipeEmojiRow Tests', function () {
       });
     });
 
+    describe('With a usage tracker', function () {
+      let usageTracker;
+      let quickReactions;
+
+      beforeEach(function () {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        usageTracker = createEmojiUsageTracker();
+        usageTracker.record(':coffee:');
+        usageTracker.record(':coffee:');
+        usageTracker.record(':thumbsup:');
+        usageTracker.record(testEmojiObj.emojiUnicodeOrShortname);
+        propsData = { ...basePropsData, usageTracker, quickReactionsCount: 1 };
+        _setWrappers();
+        quickReactions = wrapper.findAll('[data-qa="dt-emoji-row-quick-reaction"]');
+      });
+
+      afterEach(function () {
+        vi.useRealTimers();
+      });
+
+      it('Should show the most used emojis that are not in the reactions as quick reactions', () => {
+        expect(quickReactions.length).toBe(1);
+        expect(quickReactions.at(0).attributes('aria-label')).toBe('React with hot beverage');
+      });
+
+      it('Should emit and record the quick reaction when it is clicked', async () => {
+        await quickReactions.at(0).trigger('click');
+
+        expect(wrapper.emitted('emoji-clicked')[0][0]).toBe(':coffee:');
+        expect(usageTracker.getScore(':coffee:')).toBe(3);
+      });
+
+      it('Should record the reaction when it is clicked', async () => {
+        await emojiReactionButton.trigger('click');
+
+        expect(usageTracker.getScore(testEmojiObj.emojiUnicodeOrShortname)).toBe(2);
+      });
+
+      it('Should not record a selected reaction when it is clicked', async () => {
+        await wrapper.setProps({ reactions: [{ ...testEmojiObj, isSelected: true }] });
+        await emojiReactionButton.trigger('click');
+
+        expect(usageTracker.getScore(testEmojiObj.emojiUnicodeOrShortname)).toBe(1);
+      });
+    });
+
     describe('Hover Emoji button event', function () {
       beforeEach(async () => {
         tooltip.vm.$emit('shown', true);
@@ -0,0 +1 @@
+export { default as DtRecipeMessageInput } from './message_input.vue';
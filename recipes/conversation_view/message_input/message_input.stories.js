@@ -0,0 +1,98 @@
+import { action } from '@storybook/addon-actions';
+import { createTemplateFromVueFile } from '@/common/storybook_utils';
+import DtRecipeMessageInput from './message_input.vue';
+import DtRecipeMessageInputDefaultTemplate from './message_input_default.story.vue';
+
+// Default Prop Values
+export const argsData = {
+  inputAriaLabel: 'Message',
+  placeholder: 'Send a message...',
+  emojiPickerProps: {
+    tabSetLabels: [
+      'Most recently used',
+      'Smileys and people',
+      'Nature',
+      'Food',
+      'Activity',
+      'Travel',
+      'Objects',
+      'Symbols',
+      'Flags',
+    ],
+    skinSelectorButtonTooltipLabel: 'Change default skin tone',
+    searchResultsLabel: 'Search results',
+    searchNoResultsLabel: 'No results found',
+    searchPlaceholderLabel: 'Search...',
+  },
+  onInput: action('input'),
+  onSubmit: action('submit'),
+};
+
+export const argTypesData = {
+  // Props
+  value: {
+    control: 'text',
+  },
+
+  validate: {
+    table: {
+      type: {
+        detail: `{
+          "length": {
+            "max": number,
+            "warn": number,
+            "message": string,
+          }
+        }`,
+      },
+    },
+  },
+
+  // Action Event Handlers
+  onInput: {
+    table: {
+      disable: true,
+    },
+  },
+  onSubmit: {
+    table: {
+      disable: true,
+    },
+  },
+};
+
+// Story Collection
+export default {
+  title: 'Recipes/Conversation View/Message Input',
+  component: DtRecipeMessageInput,
+  args: argsData,
+  argTypes: argTypesData,
+  excludeStories: /.*Data$/,
+};
+
+// Templates
+const DefaultTemplate = (args, { argTypes }) => createTemplateFromVueFile(
+  args,
+  argTypes,
+  DtRecipeMessageInputDefaultTemplate,
+);
+
+// Stories
+export const Default = {
+  render: DefaultTemplate,
+};
+
+export const WithCharacterLimit = {
+  render: DefaultTemplate,
+
+  args: {
+    value: 'This message is getting close to the limit',
+    validate: {
+      length: {
+        max: 50,
+        warn: 40,
+        message: 'Messages can be up to 50 characters long',
+      },
+    },
+  },
+};
@@ -0,0 +1,297 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import DtRecipeMessageInput from './message_input.vue';
+import { DtEmojiPicker } from '@/components/emoji_picker';
+
+// Constants
+const MOCK_EMOJI = {
+  name: 'thumbs up',
+  shortname: ':thumbsup:',
+  unicode_output: '1f44d',
+};
+
+const basePropsData = {
+  inputAriaLabel: 'Message',
+  emojiPickerProps: {
+    searchPlaceholderLabel: 'Search...',
+    searchResultsLabel: 'Search results',
+    searchNoResultsLabel: 'No results',
+    tabSetLabels: [],
+    skinSelectorButtonTooltipLabel: 'Change default skin tone',
+  },
+};
+
+describe('DtRecipeMessageInput Tests', () => {
+  const testContext = {};
+
+  // Wrappers
+  let wrapper;
+  let sendButton;
+  let emojiButton;
+
+  // Environment
+  let propsData = basePropsData;
+  let attrs = {};
+
+  // Helpers
+  const _setChildWrappers = () => {
+    sendButton = wrapper.find('[data-qa="dt-recipe-message-input-send-button"]');
+    emojiButton = wrapper.find('[data-qa="dt-recipe-message-input-emoji-button"]');
+  };
+
+  const _setWrappers = async () => {
+    wrapper = mount(DtRecipeMessageInput, {
+      propsData,
+      attrs,
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+    await wrapper.vm.$nextTick();
+    _setChildWrappers();
+  };
+
+  const _getEditor = () => wrapper.vm.$refs.richTextEditor.editor;
+
+  const _setText = async (text) => {
+    _getEditor().commands.setContent(text, true);
+    await wrapper.vm.$nextTick();
+  };
+
+  const _pressEnter = async () => {
+    _getEditor().view.dom.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    await wrapper.vm.$nextTick();
+  };
+
+  // Setup
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+    global.Range.prototype.getClientRects = vi.fn(() => [{}]);
+    global.Range.prototype.getBoundingClientRect = vi.fn(() => [{}]);
+    global.scrollBy = vi.fn();
+  });
+
+  beforeEach(async () => {
+    await _setWrappers();
+  });
+
+  // Teardown
+  afterEach(() => {
+    propsData = basePropsData;
+    attrs = {};
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the component', () => {
+      expect(wrapper.find('[data-qa="dt-recipe-message-input"]').exists()).toBe(true);
+    });
+
+    it('should render the editor', () => {
+      expect(wrapper.find('[data-qa="dt-rich-text-editor"]').exists()).toBe(true);
+    });
+
+    it('should render the emoji picker button', () => {
+      expect(emojiButton.exists()).toBe(true);
+    });
+
+    it('should not render the counter without a character limit', () => {
+      expect(wrapper.find('[data-qa="dt-recipe-message-input-counter"]').exists()).toBe(false);
+    });
+
+    describe('When the emoji picker is hidden', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, showEmojiPicker: false };
+        await _setWrappers();
+      });
+
+      it('should not render the emoji picker button', () => {
+        expect(emojiButton.exists()).toBe(false);
+      });
+    });
+
+    describe('When disabled', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: 'hello', disabled: true };
+        await _setWrappers();
+      });
+
+      it('should not be editable', () => {
+        expect(_getEditor().isEditable).toBe(false);
+      });
+
+      it('should disable the buttons', () => {
+        expect(sendButton.attributes('disabled')).toBe('disabled');
+        expect(emojiButton.attributes('disabled')).toBe('disabled');
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When the input is empty', () => {
+      it('should disable the send button', () => {
+        expect(sendButton.attributes('disabled')).toBe('disabled');
+      });
+
+      it('should not submit on enter', async () => {
+        await _pressEnter();
+
+        expect(wrapper.emitted().submit).toBeUndefined();
+      });
+    });
+
+    describe('When text is entered', () => {
+      beforeEach(async () => {
+        await _setText('hello');
+      });
+
+      it('should emit the input event', () => {
+        expect(wrapper.emitted().input.at(-1)[0]).toBe('hello');
+      });
+
+      it('should enable the send button', () => {
+        expect(sendButton.attributes('disabled')).toBeUndefined();
+      });
+
+      it('should submit the message when the send button is clicked', async () => {
+        await sendButton.trigger('click');
+
+        expect(wrapper.emitted().submit[0][0]).toBe('hello');
+      });
+
+      it('should submit the message on enter', async () => {
+        await _pressEnter();
+
+        expect(wrapper.emitted().submit[0][0]).toBe('hello');
+      });
+    });
+
+    describe('When only whitespace is entered', () => {
+      beforeEach(async () => {
+        await _setText('   ');
+      });
+
+      it('should disable the send button', () => {
+        expect(sendButton.attributes('disabled')).toBe('disabled');
+      });
+    });
+
+    describe('When the parent clears the value', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: 'hello' };
+        await _setWrappers();
+        await wrapper.setProps({ value: '' });
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should disable the send button', () => {
+        expect(sendButton.attributes('disabled')).toBe('disabled');
+      });
+    });
+
+    describe('When the emoji picker button is clicked', () => {
+      beforeEach(async () => {
+        await emojiButton.trigger('click');
+      });
+
+      it('should open the emoji picker', () => {
+        expect(wrapper.vm.isEmojiPickerOpen).toBe(true);
+      });
+
+      describe('When an emoji is selected', () => {
+        beforeEach(async () => {
+          wrapper.findComponent(DtEmojiPicker).vm.$emit('selected-emoji', MOCK_EMOJI);
+          await wrapper.vm.$nextTick();
+        });
+
+        it('should insert the unicode emoji', () => {
+          expect(wrapper.emitted().input.at(-1)[0]).toBe('👍');
+        });
+
+        it('should close the emoji picker', () => {
+          expect(wrapper.vm.isEmojiPickerOpen).toBe(false);
+        });
+      });
+    });
+
+    describe('When the emoji extension is enabled', () => {
+      beforeEach(async () => {
+        attrs = { emoji: true, outputFormat: 'json' };
+        await _setWrappers();
+        await emojiButton.trigger('click');
+        wrapper.findComponent(DtEmojiPicker).vm.$emit('selected-emoji', MOCK_EMOJI);
+        await wrapper.vm.$nextTick();
+      });
+
+      it('should insert an emoji node', () => {
+        expect(wrapper.emitted().input.at(-1)[0].content[0].content[0]).toEqual({
+          type: 'emoji',
+          attrs: { code: ':thumbsup:' },
+        });
+      });
+    });
+  });
+
+  describe('Validation Tests', () => {
+    let counter;
+
+    const _setLengthValidation = async (value) => {
+      propsData = {
+        ...basePropsData,
+        value,
+        validate: { length: { max: 10, warn: 5, message: 'Message is too long' } },
+      };
+      await _setWrappers();
+      counter = wrapper.find('[data-qa="dt-recipe-message-input-counter"]');
+    };
+
+    describe('When the length is below the warn limit', () => {
+      beforeEach(async () => {
+        await _setLengthValidation('hi');
+      });
+
+      it('should not show the counter', () => {
+        expect(counter.exists()).toBe(false);
+      });
+    });
+
+    describe('When the length reaches the warn limit', () => {
+      beforeEach(async () => {
+        await _setLengthValidation('hello');
+      });
+
+      it('should show the remaining characters as a warning', () => {
+        expect(counter.text()).toBe('5');
+        expect(counter.classes()).toContain('dt-recipe-message-input__counter--warning');
+      });
+
+      it('should show the warning message', () => {
+        expect(wrapper.find('[data-qa="validation-message"]').classes()).toContain('d-validation-message--warning');
+      });
+
+      it('should allow sending the message', () => {
+        expect(sendButton.attributes('disabled')).toBeUndefined();
+      });
+    });
+
+    describe('When the length is over the max limit', () => {
+      beforeEach(async () => {
+        await _setLengthValidation('hello world');
+      });
+
+      it('should show the exceeded characters as an error', () => {
+        expect(counter.text()).toBe('-1');
+        expect(counter.classes()).toContain('dt-recipe-message-input__counter--error');
+      });
+
+      it('should show the error message', () => {
+        expect(wrapper.find('[data-qa="validation-message"]').text()).toBe('Message is too long');
+      });
+
+      it('should not allow sending the message', async () => {
+        await _pressEnter();
+
+        expect(sendButton.attributes('disabled')).toBe('disabled');
+        expect(wrapper.emitted().submit).toBeUndefined();
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { action } from '@storybook/addon-actions';
+import { createTemplateFromVueFile } from '@/common/storybook_utils';
+import DtRecipeDatepickerWithInput from './datepicker_with_input.vue';
+import DtRecipeDatepickerWithInputDefaultTemplate from './datepicker_with_input_default.story.vue';
+
+// Default Prop Values
+export const argsData = {
+  label: 'Callback date',
+  changeToLabel: 'Change to',
+  prevMonthLabel: 'Previous month',
+  nextMonthLabel: 'Next month',
+  prevYearLabel: 'Previous year',
+  nextYearLabel: 'Next year',
+  selectDayLabel: 'Select day',
+  value: null,
+  onInput: action('input'),
+};
+
+export const argTypesData = {
+  // Props
+  value: {
+    control: null,
+  },
+
+  minDate: {
+    control: null,
+  },
+
+  maxDate: {
+    control: null,
+  },
+
+  isDateDisabled: {
+    control: null,
+  },
+
+  // Action Event Handlers
+  onInput: {
+    table: {
+      disable: true,
+    },
+  },
+
+  input: {
+    description: 'Event fired when a date is picked or typed, or null when the typed date is not valid',
+    table: {
+      type: { summary: 'Date' },
+    },
+  },
+};
+
+// Story Collection
+export default {
+  title: 'Recipes/Datepickers/Datepicker With Input',
+  component: DtRecipeDatepickerWithInput,
+  args: argsData,
+  argTypes: argTypesData,
+  excludeStories: /.*Data$/,
+};
+
+// Templates
+const Template = (args, { argTypes }) => createTemplateFromVueFile(
+  args,
+  argTypes,
+  DtRecipeDatepickerWithInputDefaultTemplate,
+);
+
+// Stories
+export const Default = {
+  render: Template,
+  args: {},
+};
+
+export const WithConstraints = {
+  render: Template,
+  args: {
+    description: 'Callbacks can only be scheduled on weekdays within the next 30 days',
+    minDate: new Date(),
+    maxDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    isDateDisabled: (date) => [0, 6].includes(date.getDay()),
+  },
+};
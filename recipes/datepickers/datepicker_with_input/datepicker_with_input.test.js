@@ -0,0 +1,293 @@
+import { createLocalVue, mount } from '@vue/test-utils';
+import { de } from 'date-fns/locale';
+import { setDateLocale } from '@/common/dates';
+import DtRecipeDatepickerWithInput from './datepicker_with_input.vue';
+import { DtDatepicker } from '@/components/datepicker';
+
+const MOCK_DATE = new Date(2023, 6, 21);
+
+const basePropsData = {
+  label: 'Date',
+};
+
+const baseAttrs = {
+  changeToLabel: 'Change to',
+  prevMonthLabel: 'Previous month',
+  nextMonthLabel: 'Next month',
+  prevYearLabel: 'Previous year',
+  nextYearLabel: 'Next year',
+  selectDayLabel: 'Select day',
+};
+
+describe('DtRecipeDatepickerWithInput Tests', () => {
+  const testContext = {};
+
+  // Wrappers
+  let wrapper;
+  let input;
+  let button;
+
+  // Environment
+  let propsData = basePropsData;
+
+  // Helpers
+  const _setWrappers = async () => {
+    wrapper = mount(DtRecipeDatepickerWithInput, {
+      propsData,
+      attrs: baseAttrs,
+      localVue: testContext.localVue,
+      attachTo: document.body,
+    });
+    await wrapper.vm.$nextTick();
+    input = wrapper.find('input');
+    button = wrapper.find('[data-qa="dt-recipe-datepicker-with-input-button"]');
+  };
+
+  const _type = async (text) => {
+    await input.setValue(text);
+  };
+
+  const _commit = async () => {
+    await input.trigger('keydown.enter');
+  };
+
+  const _getMessage = () => wrapper.find('[data-qa="validation-message"]');
+
+  const _getEmittedDate = () => wrapper.emitted('input').at(-1)[0];
+
+  // Setup
+  beforeAll(() => {
+    testContext.localVue = createLocalVue();
+  });
+
+  beforeEach(async () => {
+    await _setWrappers();
+  });
+
+  // Teardown
+  afterEach(() => {
+    propsData = basePropsData;
+    wrapper.destroy();
+  });
+
+  describe('Presentation Tests', () => {
+    it('should render the input', () => {
+      expect(input.exists()).toBe(true);
+    });
+
+    it('should show the date format as the placeholder', () => {
+      expect(input.attributes('placeholder')).toBe('mm/dd/yyyy');
+    });
+
+    it('should render the datepicker button', () => {
+      expect(button.attributes('aria-label')).toBe('Open datepicker');
+    });
+
+    describe('When a date is passed', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: MOCK_DATE };
+        await _setWrappers();
+      });
+
+      it('should show the formatted date', () => {
+        expect(input.element.value).toBe('07/21/2023');
+      });
+    });
+
+    describe('When a locale is set', () => {
+      beforeEach(async () => {
+        setDateLocale(de);
+        propsData = { ...basePropsData, value: MOCK_DATE };
+        await _setWrappers();
+      });
+
+      afterEach(() => {
+        setDateLocale(undefined);
+      });
+
+      it('should show the date in the format of the locale', () => {
+        expect(input.element.value).toBe('21.07.2023');
+        expect(input.attributes('placeholder')).toBe('dd.mm.y');
+      });
+
+      it('should parse the date in the format of the locale', async () => {
+        await _type('1.8.2023');
+
+        expect(_getEmittedDate()).toEqual(new Date(2023, 7, 1));
+      });
+    });
+  });
+
+  describe('Interactivity Tests', () => {
+    describe('When a valid date is typed', () => {
+      beforeEach(async () => {
+        await _type('7/4/2023');
+      });
+
+      it('should emit the date', () => {
+        expect(_getEmittedDate()).toEqual(new Date(2023, 6, 4));
+      });
+
+      it('should keep the text while typing', async () => {
+        await wrapper.setProps({ value: _getEmittedDate() });
+
+        expect(input.element.value).toBe('7/4/2023');
+      });
+
+      it('should format the text when it is committed', async () => {
+        await _commit();
+
+        expect(input.element.value).toBe('07/04/2023');
+        expect(_getMessage().exists()).toBe(false);
+      });
+    });
+
+    describe('When an invalid date is typed', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: MOCK_DATE };
+        await _setWrappers();
+        await _type('13/45/2023');
+      });
+
+      it('should emit null', () => {
+        expect(_getEmittedDate()).toBeNull();
+      });
+
+      it('should not show the error while typing', () => {
+        expect(_getMessage().exists()).toBe(false);
+      });
+
+      describe('When the text is committed', () => {
+        beforeEach(async () => {
+          await wrapper.setProps({ value: null });
+          await _commit();
+        });
+
+        it('should keep the text', () => {
+          expect(input.element.value).toBe('13/45/2023');
+        });
+
+        it('should show the error message', () => {
+          expect(_getMessage().text()).toBe('Enter a valid date');
+          expect(_getMessage().classes()).toContain('d-validation-message--error');
+        });
+
+        it('should hide the error message when typing again', async () => {
+          await _type('12/4');
+
+          expect(_getMessage().exists()).toBe(false);
+        });
+      });
+    });
+
+    describe('When a year with two digits is typed', () => {
+      beforeEach(async () => {
+        await _type('7/4/23');
+        await _commit();
+      });
+
+      it('should show the error message', () => {
+        expect(_getMessage().text()).toBe('Enter a valid date');
+      });
+    });
+
+    describe('When an unavailable date is typed', () => {
+      beforeEach(async () => {
+        propsData = {
+          ...basePropsData,
+          minDate: new Date(2023, 6, 10),
+          isDateDisabled: (date) => date.getDay() === 0,
+        };
+        await _setWrappers();
+      });
+
+      it('should show the error message for a date out of range', async () => {
+        await _type('07/01/2023');
+        await _commit();
+
+        expect(wrapper.emitted('input')).toBeUndefined();
+        expect(_getMessage().text()).toBe('This date is not available');
+      });
+
+      it('should show the error message for a disabled date', async () => {
+        await _type('07/16/2023');
+        await _commit();
+
+        expect(_getMessage().text()).toBe('This date is not available');
+      });
+    });
+
+    describe('When the text is cleared', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: MOCK_DATE };
+        await _setWrappers();
+        await _type('');
+        await _commit();
+      });
+
+      it('should emit null', () => {
+        expect(_getEmittedDate()).toBeNull();
+      });
+
+      it('should not show an error message', () => {
+        expect(_getMessage().exists()).toBe(false);
+      });
+    });
+
+    describe('When messages are passed', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, messages: ['Pick a weekday'] };
+        await _setWrappers();
+      });
+
+      it('should show them', () => {
+        expect(wrapper.find('[data-qa="dt-input-messages"]').text()).toContain('Pick a weekday');
+      });
+    });
+
+    describe('When the value changes', () => {
+      beforeEach(async () => {
+        await wrapper.setProps({ value: MOCK_DATE });
+      });
+
+      it('should show the new date', () => {
+        expect(input.element.value).toBe('07/21/2023');
+      });
+    });
+
+    describe('When the datepicker button is clicked', () => {
+      beforeEach(async () => {
+        propsData = { ...basePropsData, value: MOCK_DATE };
+        await _setWrappers();
+        await button.trigger('click');
+      });
+
+      it('should open the datepicker on the selected date', () => {
+        expect(wrapper.findComponent(DtDatepicker).props('selectedDate')).toEqual(MOCK_DATE);
+      });
+
+      it('should pass the labels to the datepicker', () => {
+        expect(wrapper.findComponent(DtDatepicker).props('selectDayLabel')).toBe('Select day');
+      });
+
+      describe('When a date is selected', () => {
+        beforeEach(async () => {
+          wrapper.findComponent(DtDatepicker).vm.$emit('selected-date', new Date(2023, 6, 4));
+          await wrapper.vm.$nextTick();
+        });
+
+        it('should emit the date', () => {
+          expect(_getEmittedDate()).toEqual(new Date(2023, 6, 4));
+        });
+
+        it('should show the date in the input', () => {
+          expect(input.element.value).toBe('07/04/2023');
+        });
+
+        it('should close the datepicker', () => {
+          expect(wrapper.vm.isOpen).toBe(false);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1 @@
+export { default as DtRecipeDatepickerWithInput } from './datepicker_with_input.vue';